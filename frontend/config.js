@@ -73,6 +73,12 @@ const config = {
     ANIMATION_DURATION: 300,     // Default animation duration (milliseconds)
     TOAST_DURATION: 5000,        // Toast notification display time
     SEARCH_DEBOUNCE: 300,        // Input debounce delay for search
+    SEARCH_RESULTS_LIMIT: 8,     // Ranked results listed under the search box
+    OMNIBOX_GROUP_LIMIT: 5,      // Omnibox results per group (saints, places, ...)
+    OMNIBOX_FLY_ZOOM: 10,        // Zoom level when flying to a single place
+    ALIAS_LABEL_LIMIT: 2,        // Alternative spellings shown next to filter options
+    VIEW_URL_DEBOUNCE: 400,      // Delay before map moves are written to the address bar
+    VIEW_URL_PRECISION: 4,       // Decimal places kept for the map centre in the URL
     MOBILE_BREAKPOINT: 768,      // Mobile breakpoint in pixels
     
     // Loading states
@@ -84,6 +90,20 @@ const config = {
     ]
   },
 
+  // ========================================
+  // TIMELINE CONFIGURATION
+  // ========================================
+  
+  TIMELINE_CONFIG: {
+    MIN_YEAR: 500,               // Left edge of the timeline bar (CE)
+    MAX_YEAR: 1900,              // Right edge of the timeline bar (CE)
+    DEFAULT_WINDOW: 100,         // Width of the active window in years
+    MIN_WINDOW: 10,              // Narrowest window the handles allow
+    TICK_INTERVAL: 100,          // Years between labelled ticks
+    PLAY_SPEEDS: [25, 50, 100],  // Playback speeds in years per second
+    FADE_DURATION: 600           // Fade-in time for newly active markers (ms)
+  },
+
   // ========================================
   // API REQUEST CONFIGURATION
   // ========================================
@@ -109,16 +129,16 @@ const config = {
     PLACE_SUGGESTIONS: true,      // Enable place name suggestions
     CONTRIBUTION_FORM: true,      // Enable contribution functionality
     ADVANCED_FILTERS: true,       // Enable advanced filtering options
-    EXPORT_FUNCTIONALITY: false, // Export data functionality (future)
+    EXPORT_FUNCTIONALITY: true,  // Export filtered view as GeoJSON/KML/CSV/BibTeX
     OFFLINE_SUPPORT: false,      // Offline functionality (future)
     ANALYTICS_ENABLED: false,    // Analytics tracking (future)
     DARK_MODE: true,             // Dark mode support
     
     // Experimental features
     EXPERIMENTAL: {
-      ROUTE_PLANNING: false,     // Route planning between places
-      VIRTUAL_TOURS: false,      // Virtual tour functionality
-      AUDIO_GUIDES: false        // Audio guide integration
+      ROUTE_PLANNING: true,      // Pilgrimage route planner between places
+      VIRTUAL_TOURS: true,       // Guided tours from /api/tours
+      AUDIO_GUIDES: true         // Narration clips in tour steps
     }
   },
 
@@ -127,14 +147,24 @@ const config = {
   // ========================================
   
   MARKER_CONFIG: {
-    // Colors for different place types
+    // Colors for different place types (match the .marker-* classes in styles.css)
     COLORS: {
-      birth: '#f39c12'       // orange for birth places
+      birth: '#e74c3c',         // red for birth places
+      death: '#7f8c8d',         // grey for death places
+      enlightenment: '#f39c12', // orange for enlightenment places
+      samadhi: '#9b59b6',       // purple for samadhi places
+      temple: '#3498db',        // blue for temples
+      influence: '#27ae60'      // green for areas of influence
     },
     
     // Marker icons (using Material Icons)
     ICONS: {
-      birth: 'spa'
+      birth: 'spa',
+      death: 'local_florist',
+      enlightenment: 'self_improvement',
+      samadhi: 'brightness_5',
+      temple: 'temple_hindu',
+      influence: 'public'
     },
     
     // Clustering configuration
@@ -149,7 +179,99 @@ const config = {
     }
   },
 
- 
+  // ========================================
+  // HEATMAP CONFIGURATION
+  // ========================================
+  
+  HEATMAP_CONFIG: {
+    RADIUS: 25,                  // Radius of each point in pixels
+    BLUR: 15,                    // Blur radius in pixels
+    MAX_ZOOM: 10,                // Zoom at which points reach full intensity
+    MIN_OPACITY: 0.35,           // Opacity of the faintest areas
+    COORD_PRECISION: 2,          // Decimal places used to group markers at one spot (~1 km)
+    DEFAULT_WEIGHTING: 'saints', // 'saints', 'type' or 'century'
+    CENTURY_FALLOFF: 0.5,        // Weight kept per century away from the focus century
+    
+    // Color ramp from sparse to dense (also drawn in the legend)
+    GRADIENT: {
+      0.2: '#3498db',
+      0.4: '#1abc9c',
+      0.6: '#f1c40f',
+      0.8: '#e67e22',
+      1.0: '#e74c3c'
+    },
+    
+    // Relative weight of each place type when weighting by type
+    TYPE_WEIGHTS: {
+      samadhi: 1,
+      temple: 0.9,
+      enlightenment: 0.8,
+      birth: 0.7,
+      death: 0.6,
+      influence: 0.3
+    }
+  },
+
+  // ========================================
+  // CHOROPLETH CONFIGURATION
+  // ========================================
+  
+  CHOROPLETH_CONFIG: {
+    DEFAULT_LEVEL: 'state',      // 'state' (modern states) or 'polity' (historical kingdoms)
+    DEFAULT_METRIC: 'saints',    // 'saints', 'tradition' or 'language'
+    DEFAULT_CENTURY: 15,         // Century shown first for historical polities
+    FILL_OPACITY: 0.55,          // Fill opacity of coloured regions
+    EMPTY_COLOR: '#bdc3c7',      // Regions with no saints
+    CATEGORY_LIMIT: 7,           // Dominant values given their own colour; the rest share "Other"
+    
+    // Sequential ramp for saint counts, light to dark
+    COUNT_COLORS: ['#fde9d0', '#fbc68f', '#f8a04e', '#e6761b', '#b8520a'],
+    
+    // Categorical palette for dominant tradition/language, last colour is "Other"
+    CATEGORY_COLORS: ['#e74c3c', '#3498db', '#27ae60', '#9b59b6', '#f39c12', '#1abc9c', '#d35400', '#7f8c8d']
+  },
+
+  // ========================================
+  // STATISTICS DASHBOARD CONFIGURATION
+  // ========================================
+  
+  DASHBOARD_CONFIG: {
+    TOP_LIMIT: 10,               // Traditions and languages charted before the rest become "Other"
+    BAR_COLOR: '#ff9933',        // Saints per century bars (saffron primary)
+    OTHER_COLOR: '#95a5a6',      // "Other" slice and unknown genders
+    
+    // Colours per gender; unlisted values fall back to PALETTE
+    GENDER_COLORS: {
+      Female: '#e84393',
+      Male: '#3498db'
+    },
+    
+    // Language slices
+    PALETTE: ['#ff9933', '#e74c3c', '#3498db', '#27ae60', '#9b59b6', '#f1c40f', '#1abc9c', '#d35400', '#34495e', '#16a085']
+  },
+
+  // ========================================
+  // ROUTE PLANNER CONFIGURATION
+  // ========================================
+  
+  ROUTE_CONFIG: {
+    MAX_STOPS: 200,              // Stops a route may hold; 2-opt is quadratic per pass
+    TWO_OPT_MAX_PASSES: 50,      // Improvement passes before 2-opt settles for the current order
+    DEFAULT_OPTIMISATION: '2opt', // 'manual', 'nearest' or '2opt'
+    EARTH_RADIUS_KM: 6371,       // Mean radius for great-circle distances
+    LINE_COLOR: '#ff9933',       // Route polyline (saffron primary)
+    LINE_WEIGHT: 4,
+    GPX_FILENAME: 'bhakti-pilgrimage.gpx'
+  },
+
+  // ========================================
+  // VIRTUAL TOUR CONFIGURATION
+  // ========================================
+  
+  TOUR_CONFIG: {
+    DEFAULT_STEP_DURATION: 10,   // Seconds per step in autoplay when the step sets none and has no audio
+    FLY_DURATION: 1.5            // Seconds the map takes to fly to a step's view
+  }
 };
 
 // ========================================
@@ -229,7 +351,12 @@ config.getMarkerIcon = (placeType) => {
  */
 config.formatPlaceType = (placeType) => {
   const formatMap = {
-    birth: 'Birth Place'
+    birth: 'Birth Place',
+    death: 'Death Place',
+    enlightenment: 'Enlightenment Place',
+    samadhi: 'Samadhi Place',
+    temple: 'Temple',
+    influence: 'Area of Influence'
   };
   
   return formatMap[placeType] || placeType.charAt(0).toUpperCase() + placeType.slice(1);
@@ -273,7 +400,12 @@ export const {
   API_CONFIG,
   FEATURES,
   MARKER_CONFIG,
-  HEATMAP_CONFIG
+  HEATMAP_CONFIG,
+  CHOROPLETH_CONFIG,
+  DASHBOARD_CONFIG,
+  ROUTE_CONFIG,
+  TOUR_CONFIG,
+  TIMELINE_CONFIG
 } = config;
 
 /**
@@ -9,6 +9,15 @@
  * - Interactive Leaflet map with clustering
  * - Advanced filtering system with real-time updates
  * - Place suggestions with autocomplete functionality
+ * - Header omnibox that flies to saints, places, traditions and texts
+ * - Timeline scrubber with animated playback across centuries
+ * - Density heatmap weighted by saints, place type or century
+ * - Regional choropleth by modern state or historical polity
+ * - Statistics dashboard charting the active filters
+ * - Pilgrimage route planner with optimised stop order and GPX export
+ * - Virtual tours played step by step with narration and autoplay
+ * - Shareable saint profile pages at /saint/:slug
+ * - Filters, map position and open popup kept in the URL for sharing and back/forward
  * - Contribution form with validation and auto-geocoding
  * - Toast notifications for user feedback
  * - Responsive design for mobile devices
@@ -17,6 +26,8 @@
  * DEPENDENCIES:
  * - Leaflet.js: Interactive maps
  * - Leaflet.markercluster: Marker clustering
+ * - Leaflet.heat: Density heatmap
+ * - Chart.js: Statistics dashboard charts
  * - config.js: API configuration
  */
 
@@ -28,7 +39,7 @@ import config from './config.js';
 
 // Extract configuration values
 const API_BASE = config.API_BASE;
-const { MAP_CONFIG, UI_CONFIG, FEATURES } = config;
+const { MAP_CONFIG, UI_CONFIG, FEATURES, TIMELINE_CONFIG, HEATMAP_CONFIG, CHOROPLETH_CONFIG, DASHBOARD_CONFIG, ROUTE_CONFIG, TOUR_CONFIG } = config;
 
 // Log initialization information
 console.log('🌐 API Base URL:', API_BASE);
@@ -41,21 +52,76 @@ console.log('🔧 Environment:', config.getEnvironment());
 // Map and visualization components
 let map = null;
 let clusterGroup = null;
+let markerLayers = new Map(); // Marker id -> Leaflet marker currently on the map
 
-// Lineage network layer - holds arrow lines connecting saints chronologically
+// Lineage network layer - holds arrow lines for guru/disciple and other saint relationships
 let lineageLayer = null;
+let lineageRenderer = null;
 let lineageEnabled = true; // Toggle for lineage network visibility
+let saintRelationships = []; // Relationship edges from /api/relationships
+let drawnLineageKeys = new Set(); // Lineage edges already on the map, so only new ones fade in
+
 // Data and filtering state
 let allTraditions = [];
 let filteredTraditions = [];
 let currentFilters = {};
 let selectedPlaceType = 'all';
 let filterOptions = {};
+let traditionTaxonomy = { tree: [], unclassified: [] }; // From /api/taxonomy
+let facetSelections = {}; // Facet param -> { values: [{ value, label, exclude }], mode: 'any' | 'all' }
+let facetRefreshes = 0; // Facet count requests in flight
+
+// Timeline scrubber state - the active window in years CE, applied client-side
+let timeline = {
+  active: false,
+  start: TIMELINE_CONFIG.MIN_YEAR,
+  end: TIMELINE_CONFIG.MIN_YEAR + TIMELINE_CONFIG.DEFAULT_WINDOW,
+  playing: false,
+  speed: TIMELINE_CONFIG.PLAY_SPEEDS[1],
+  frame: null,
+  lastFrame: 0,
+  lastRender: 0
+};
+
+// Density heatmap layer - computed from the same markers as the clusters
+let heatLayer = null;
+let heatmapEnabled = localStorage.getItem('heatmapEnabled') === 'true';
+let heatmapWeighting = localStorage.getItem('heatmapWeighting') || HEATMAP_CONFIG.DEFAULT_WEIGHTING;
+let heatmapCentury = null; // Focus century when weighting by century
+
+// Regional choropleth - region outlines coloured by counts aggregated on the server
+let choroplethLayer = null;
+let choroplethEnabled = localStorage.getItem('choroplethEnabled') === 'true';
+let choroplethLevel = localStorage.getItem('choroplethLevel') || CHOROPLETH_CONFIG.DEFAULT_LEVEL;
+let choroplethMetric = localStorage.getItem('choroplethMetric') || CHOROPLETH_CONFIG.DEFAULT_METRIC;
+let choroplethCentury = CHOROPLETH_CONFIG.DEFAULT_CENTURY;
+let choroplethRequest = 0; // Id of the latest request, so a slow response cannot overwrite a newer one
+const regionBoundaryCache = new Map(); // "level:century" -> GeoJSON outlines
+
+// Statistics dashboard - Chart.js instances by canvas id, redrawn while the modal is open
+let dashboardCharts = {};
+let isDashboardOpen = false;
+let dashboardRequest = 0;
+
+// Pilgrimage route planner - stop ids in the order they were added, planned entirely client-side
+let routeLayer = null;
+let routeEnabled = localStorage.getItem('routeEnabled') === 'true';
+let routeStopIds = loadSavedRouteStops();
+let routeOptimisation = localStorage.getItem('routeOptimisation') || ROUTE_CONFIG.DEFAULT_OPTIMISATION;
+let routeRoundTrip = localStorage.getItem('routeRoundTrip') === 'true';
+
+// Virtual tours - the tour in the player, the step shown and the autoplay timer
+let tourPlayer = { tour: null, index: 0, playing: false, timer: null };
 
-// Year slider instance
-// let yearSlider = null;
-// const YEAR_MIN = 600;   // Bhakti movement start
-// const YEAR_MAX = 1900;  // End of traditional period
+// Saint profile - shown in a modal while the address bar is at /saint/:slug
+let profileMap = null;
+let profileMarkers = null;
+let currentProfile = null;
+let profileRequest = 0;
+
+// Address bar view state - the open popup and whether a history entry is being restored
+let openPlaceId = null;
+let isRestoringView = false;
 
 // UI state management
 let isDarkMode = localStorage.getItem('darkMode') === 'true';
@@ -65,10 +131,12 @@ let isLegendCollapsed = localStorage.getItem('legendCollapsed') === 'true';
 // Place suggestion caching and debouncing
 let suggestionCache = new Map();
 let suggestionTimeouts = new Map();
+let suggestionRequests = new Map(); // input id -> AbortController of the request in flight
 
 // Statistics tracking
 let placeTypeCounts = {
   birth: 0,
+  death: 0,
   enlightenment: 0,
   samadhi: 0,
   temple: 0,
@@ -91,7 +159,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     initializeTheme();
     initializeMap();
     initializeUI();
-    // initializeYearSlider();
     initializeEventListeners();
     
     // Load data from API
@@ -100,6 +167,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       loadInitialData()
     ]);
     
+    // Restore the view encoded in the URL, then any profile deep link
+    await restoreViewState();
+    openProfileFromLocation();
+    
     console.log('✅ Application initialization complete');
   } catch (error) {
     console.error('❌ Application initialization failed:', error);
@@ -255,8 +326,27 @@ function initializeMap() {
   map.addLayer(clusterGroup);
 
   // Initialize lineage network layer (below markers but above tiles)
+  // Drawn with SVG rather than the map's canvas so the .lineage-line styles and animations apply
+  lineageRenderer = L.svg();
   lineageLayer = L.layerGroup().addTo(map);
   
+  // Region outlines sit under the lineage lines and markers
+  map.createPane('choropleth');
+  map.getPane('choropleth').style.zIndex = 350;
+  
+  // Initialize the heatmap layer; it is only added to the map while heatmap mode is on
+  if (L.heatLayer) {
+    heatLayer = L.heatLayer([], {
+      radius: HEATMAP_CONFIG.RADIUS,
+      blur: HEATMAP_CONFIG.BLUR,
+      maxZoom: HEATMAP_CONFIG.MAX_ZOOM,
+      minOpacity: HEATMAP_CONFIG.MIN_OPACITY,
+      gradient: HEATMAP_CONFIG.GRADIENT
+    });
+  } else {
+    console.warn('⚠️ Leaflet.heat not loaded - heatmap disabled');
+  }
+  
   // Handle cluster events to show/hide lineage lines
   clusterGroup.on('animationend', updateLineageVisibility);
   map.on('zoomend', updateLineageVisibility);
@@ -281,7 +371,7 @@ function initializeUI() {
   }
 
   // Initialize legend state
-  const legendContent = document.querySelector('.legend-content');
+  const legendContent = document.querySelector('#legend-panel .legend-content');
   if (legendContent && isLegendCollapsed) {
     legendContent.classList.add('collapsed');
     const toggleIcon = document.querySelector('#toggle-legend .material-icons');
@@ -296,65 +386,6 @@ function initializeUI() {
   console.log('✅ UI components initialized');
 }
 
-/**
- * Initialize the year range slider using noUiSlider
- */
-// function initializeYearSlider() {
-//   const sliderElement = document.getElementById('year-range-slider');
-  
-//   if (!sliderElement) {
-//     console.warn('Year slider element not found');
-//     return;
-//   }
-  
-//   // Create the noUiSlider
-//   yearSlider = noUiSlider.create(sliderElement, {
-//     start: [YEAR_MIN, YEAR_MAX],
-//     connect: true,
-//     step: 10,
-//     range: {
-//       'min': YEAR_MIN,
-//       'max': YEAR_MAX
-//     },
-//     format: {
-//       to: value => Math.round(value),
-//       from: value => Number(value)
-//     },
-//     tooltips: false,
-//     pips: {
-//       mode: 'values',
-//       values: [600, 800, 1000, 1200, 1400, 1600, 1800, 1900],
-//       density: 4,
-//       format: {
-//         to: value => value
-//       }
-//     }
-//   });
-  
-//   // Update display on slide
-//   yearSlider.on('update', function(values, handle) {
-//     const minYear = Math.round(values[0]);
-//     const maxYear = Math.round(values[1]);
-    
-//     document.getElementById('year-min-display').textContent = minYear;
-//     document.getElementById('year-max-display').textContent = maxYear;
-//     document.getElementById('search-filter1').value = minYear;
-//     document.getElementById('search-filter2').value = maxYear;
-//   });
-  
-//   // Apply filter when user stops sliding
-//   yearSlider.on('change', function(values, handle) {
-//     const minYear = Math.round(values[0]);
-//     const maxYear = Math.round(values[1]);
-    
-//     console.log(`📅 Year range changed: ${minYear} - ${maxYear}`);
-//     updateCurrentFilters();
-//     applyCurrentFilters();
-//   });
-  
-//   console.log('✅ Year range slider initialized');
-// }
-
 // ========================================
 // EVENT LISTENERS
 // ========================================
@@ -371,6 +402,9 @@ function initializeEventListeners() {
   // Theme dropdown
   setupThemeEventListeners();
   
+  // Export dropdown
+  setupExportEventListeners();
+  
   // Filter panel
   setupFilterEventListeners();
   
@@ -383,6 +417,33 @@ function initializeEventListeners() {
   // Quick filter chips
   setupQuickFilterEventListeners();
   
+  // Header omnibox
+  setupOmniboxEventListeners();
+  
+  // Timeline scrubber
+  setupTimelineEventListeners();
+  
+  // Heatmap toggle and legend
+  setupHeatmapEventListeners();
+  
+  // Regional choropleth toggle and controls
+  setupChoroplethEventListeners();
+  
+  // Statistics dashboard
+  setupDashboardEventListeners();
+  
+  // Pilgrimage route planner
+  setupRouteEventListeners();
+  
+  // Virtual tours
+  setupTourEventListeners();
+  
+  // Saint profile links
+  setupProfileEventListeners();
+  
+  // Address bar view state and history navigation
+  setupViewStateEventListeners();
+  
   // Keyboard shortcuts
   setupKeyboardEventListeners();
   
@@ -444,6 +505,37 @@ function setupThemeEventListeners() {
   });
 }
 
+/**
+ * Setup export dropdown event listeners
+ */
+function setupExportEventListeners() {
+  const exportDropdown = document.getElementById('export-dropdown');
+  if (!exportDropdown) return;
+  
+  if (!FEATURES.EXPORT_FUNCTIONALITY) {
+    exportDropdown.style.display = 'none';
+    return;
+  }
+  
+  const exportToggle = exportDropdown.querySelector('.dropdown-toggle');
+  exportToggle?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    exportDropdown.classList.toggle('open');
+  });
+  
+  exportDropdown.querySelectorAll('.dropdown-item[data-export-format]').forEach(item => {
+    item.addEventListener('click', (e) => {
+      e.preventDefault();
+      exportCurrentView(item.getAttribute('data-export-format'));
+      exportDropdown.classList.remove('open');
+    });
+  });
+  
+  document.addEventListener('click', () => {
+    exportDropdown.classList.remove('open');
+  });
+}
+
 /**
  * Setup filter panel event listeners
  */
@@ -469,6 +561,17 @@ function setupFilterEventListeners() {
     clearFilters.addEventListener('click', clearAllFilters);
   }
   
+  // Facet selects add chips instead of holding a single value
+  Object.entries(FACET_SELECTS).forEach(([selectId, param]) => {
+    const select = document.getElementById(selectId);
+    select?.addEventListener('change', () => {
+      if (!select.value) return;
+      const label = param === 'century' ? formatCentury(Number(select.value)) : select.value;
+      addFacetValue(param, select.value, label);
+      select.value = '';
+    });
+  });
+  
   // Search input with debouncing
   const searchInput = document.getElementById('search-input');
   if (searchInput) {
@@ -478,6 +581,7 @@ function setupFilterEventListeners() {
       searchTimeout = setTimeout(() => {
         currentFilters.search = e.target.value;
         applyCurrentFilters();
+        loadSearchResults(e.target.value);
       }, UI_CONFIG.SEARCH_DEBOUNCE);
     });
   }
@@ -490,8 +594,8 @@ function setupFilterEventListeners() {
   [startYearInput, endYearInput].forEach(input => {
     if (input) {
       input.addEventListener('input', (e) => {
-        // Only allow numbers
-        e.target.value = e.target.value.replace(/[^\d]/g, '');
+        // Only allow numbers, with a leading minus for BCE years
+        e.target.value = e.target.value.replace(/[^\d-]/g, '').replace(/(?!^)-/g, '');
       });
     }
   });
@@ -533,8 +637,9 @@ function setupContributionEventListeners() {
     form.addEventListener('submit', handleContributionSubmit);
   }
   
-  // Place suggestion inputs
+  // Place suggestion inputs and the related saint picker
   setupPlaceSuggestions();
+  setupRelatedSaintPicker();
 }
 
 /**
@@ -579,11 +684,20 @@ function setupKeyboardEventListeners() {
     // Escape key to close modals and panels
     if (e.key === 'Escape') {
       closeContributionModal();
+      closeDashboard();
+      closeToursModal();
+      closeProfile();
       if (isFiltersVisible) {
         toggleFiltersPanel();
       }
     }
     
+    // Slash focuses the omnibox unless already typing
+    if (e.key === '/' && !['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName)) {
+      e.preventDefault();
+      document.getElementById('omnibox-input')?.focus();
+    }
+    
     // Ctrl/Cmd + F to open filters
     if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
       e.preventDefault();
@@ -594,29 +708,463 @@ function setupKeyboardEventListeners() {
   });
 }
 
+/**
+ * Setup the header omnibox: debounced suggestions with keyboard navigation
+ */
+function setupOmniboxEventListeners() {
+  const omnibox = document.getElementById('omnibox');
+  const input = document.getElementById('omnibox-input');
+  if (!omnibox || !input) return;
+  
+  let omniboxTimeout;
+  let currentSelection = -1;
+  
+  input.addEventListener('input', (e) => {
+    clearTimeout(omniboxTimeout);
+    currentSelection = -1;
+    const query = e.target.value.trim();
+    
+    if (query.length < 2) {
+      closeOmnibox();
+      return;
+    }
+    
+    omniboxTimeout = setTimeout(() => fetchOmniboxSuggestions(query), UI_CONFIG.SEARCH_DEBOUNCE);
+  });
+  
+  input.addEventListener('keydown', (e) => {
+    const items = omnibox.querySelectorAll('.omnibox-item');
+    
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        currentSelection = Math.min(currentSelection + 1, items.length - 1);
+        updateSuggestionSelection(items, currentSelection);
+        break;
+      
+      case 'ArrowUp':
+        e.preventDefault();
+        currentSelection = Math.max(currentSelection - 1, -1);
+        updateSuggestionSelection(items, currentSelection);
+        break;
+      
+      case 'Enter':
+        e.preventDefault();
+        items[Math.max(currentSelection, 0)]?.click();
+        break;
+      
+      case 'Escape':
+        e.stopPropagation();
+        closeOmnibox();
+        input.blur();
+        break;
+    }
+  });
+  
+  input.addEventListener('focus', () => {
+    if (omnibox.querySelector('.omnibox-item') && input.value.trim().length >= 2) {
+      openOmnibox();
+    }
+  });
+  
+  input.addEventListener('blur', () => {
+    // Delay hiding to allow clicking on results
+    setTimeout(closeOmnibox, 150);
+  });
+}
+
+/**
+ * Setup the timeline scrubber: drag the window or its handles, click the track, play/pause and reset
+ */
+function setupTimelineEventListeners() {
+  const track = document.getElementById('timeline-track');
+  const windowEl = document.getElementById('timeline-window');
+  if (!track || !windowEl) return;
+  
+  document.documentElement.style.setProperty('--timeline-fade', `${TIMELINE_CONFIG.FADE_DURATION}ms`);
+  renderTimelineTicks();
+  
+  const speedSelect = document.getElementById('timeline-speed');
+  if (speedSelect) {
+    speedSelect.innerHTML = TIMELINE_CONFIG.PLAY_SPEEDS
+      .map(speed => `<option value="${speed}">${speed} yrs/s</option>`)
+      .join('');
+    speedSelect.value = timeline.speed;
+    speedSelect.addEventListener('change', (e) => {
+      timeline.speed = parseInt(e.target.value, 10);
+    });
+  }
+  
+  let drag = null;
+  
+  track.addEventListener('pointerdown', (e) => {
+    const year = getTimelineYear(e.clientX);
+    const handle = e.target.closest('.timeline-handle')?.dataset.handle;
+    const width = timeline.end - timeline.start;
+    pauseTimeline();
+    
+    if (handle) {
+      drag = { mode: handle };
+    } else if (timeline.active && e.target.closest('#timeline-window')) {
+      drag = { mode: 'move', offset: year - timeline.start };
+    } else {
+      // Clicking the bare track centres the window on that year
+      drag = { mode: 'move', offset: width / 2 };
+      setTimelineWindow(year - width / 2, year + width / 2);
+    }
+    
+    track.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  });
+  
+  track.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const year = getTimelineYear(e.clientX);
+    
+    if (drag.mode === 'start') {
+      setTimelineWindow(Math.min(year, timeline.end - TIMELINE_CONFIG.MIN_WINDOW), timeline.end);
+    } else if (drag.mode === 'end') {
+      setTimelineWindow(timeline.start, Math.max(year, timeline.start + TIMELINE_CONFIG.MIN_WINDOW));
+    } else {
+      const width = timeline.end - timeline.start;
+      setTimelineWindow(year - drag.offset, year - drag.offset + width);
+    }
+  });
+  
+  const endDrag = () => { drag = null; };
+  track.addEventListener('pointerup', endDrag);
+  track.addEventListener('pointercancel', endDrag);
+  
+  windowEl.addEventListener('keydown', (e) => {
+    const step = e.shiftKey ? TIMELINE_CONFIG.TICK_INTERVAL : TIMELINE_CONFIG.MIN_WINDOW;
+    const width = timeline.end - timeline.start;
+    
+    switch (e.key) {
+      case 'ArrowLeft':
+        e.preventDefault();
+        setTimelineWindow(timeline.start - step, timeline.start - step + width);
+        break;
+      
+      case 'ArrowRight':
+        e.preventDefault();
+        setTimelineWindow(timeline.start + step, timeline.start + step + width);
+        break;
+      
+      case 'Escape':
+        resetTimeline();
+        break;
+    }
+  });
+  
+  document.getElementById('timeline-play')?.addEventListener('click', () => {
+    if (timeline.playing) {
+      pauseTimeline();
+    } else {
+      playTimeline();
+    }
+  });
+  
+  document.getElementById('timeline-reset')?.addEventListener('click', resetTimeline);
+  
+  renderTimelineWindow();
+}
+
+/**
+ * Setup the heatmap toggle, weighting controls and legend
+ */
+function setupHeatmapEventListeners() {
+  document.getElementById('btn-heatmap')?.addEventListener('click', toggleHeatmap);
+  
+  const weighting = document.getElementById('heatmap-weighting');
+  if (weighting) {
+    weighting.value = heatmapWeighting;
+    weighting.addEventListener('change', (e) => {
+      heatmapWeighting = e.target.value;
+      localStorage.setItem('heatmapWeighting', heatmapWeighting);
+      updateHeatmapLegend();
+      updateHeatmap();
+    });
+  }
+  
+  document.getElementById('heatmap-century')?.addEventListener('change', (e) => {
+    heatmapCentury = parseInt(e.target.value, 10);
+    updateHeatmapLegend();
+    updateHeatmap();
+  });
+  
+  document.getElementById('toggle-heatmap-legend')?.addEventListener('click', () => {
+    const content = document.querySelector('#heatmap-legend .legend-content');
+    const icon = document.querySelector('#toggle-heatmap-legend .material-icons');
+    const collapsed = content.classList.toggle('collapsed');
+    icon.textContent = collapsed ? 'keyboard_arrow_down' : 'keyboard_arrow_up';
+  });
+  
+  const gradient = document.getElementById('heatmap-gradient');
+  if (gradient) {
+    const stops = Object.entries(HEATMAP_CONFIG.GRADIENT)
+      .map(([stop, color]) => `${color} ${stop * 100}%`)
+      .join(', ');
+    gradient.style.background = `linear-gradient(to right, ${stops})`;
+  }
+  
+  // Restore the mode saved from the last visit
+  applyHeatmapState();
+}
+
+/**
+ * Setup the choropleth toggle, boundary/metric selects and panel
+ */
+function setupChoroplethEventListeners() {
+  document.getElementById('btn-choropleth')?.addEventListener('click', toggleChoropleth);
+  
+  const level = document.getElementById('choropleth-level');
+  if (level) {
+    level.value = choroplethLevel;
+    level.addEventListener('change', (e) => {
+      choroplethLevel = e.target.value;
+      localStorage.setItem('choroplethLevel', choroplethLevel);
+      updateChoropleth();
+    });
+  }
+  
+  const metric = document.getElementById('choropleth-metric');
+  if (metric) {
+    metric.value = choroplethMetric;
+    metric.addEventListener('change', (e) => {
+      choroplethMetric = e.target.value;
+      localStorage.setItem('choroplethMetric', choroplethMetric);
+      updateChoropleth();
+    });
+  }
+  
+  document.getElementById('choropleth-century')?.addEventListener('change', (e) => {
+    choroplethCentury = parseInt(e.target.value, 10);
+    updateChoropleth();
+  });
+  
+  document.getElementById('toggle-choropleth-panel')?.addEventListener('click', () => {
+    const content = document.querySelector('#choropleth-panel .legend-content');
+    const icon = document.querySelector('#toggle-choropleth-panel .material-icons');
+    const collapsed = content.classList.toggle('collapsed');
+    icon.textContent = collapsed ? 'keyboard_arrow_up' : 'keyboard_arrow_down';
+  });
+  
+  // Restore the mode saved from the last visit
+  applyChoroplethState();
+}
+
+/**
+ * Setup the statistics dashboard: header button, header stats and modal close events
+ */
+function setupDashboardEventListeners() {
+  const modal = document.getElementById('stats-modal');
+  
+  document.getElementById('btn-stats')?.addEventListener('click', openDashboard);
+  document.getElementById('header-stats')?.addEventListener('click', openDashboard);
+  document.getElementById('close-stats-modal')?.addEventListener('click', closeDashboard);
+  
+  // Close modal when clicking backdrop
+  if (modal) {
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeDashboard();
+      }
+    });
+  }
+}
+
+/**
+ * Setup saint profile event listeners
+ */
+function setupProfileEventListeners() {
+  const modal = document.getElementById('profile-modal');
+  
+  document.getElementById('close-profile-modal')?.addEventListener('click', closeProfile);
+  document.getElementById('profile-show-on-map')?.addEventListener('click', showProfileOnMap);
+  document.getElementById('profile-copy-link')?.addEventListener('click', copyProfileLink);
+  
+  // Close modal when clicking backdrop
+  if (modal) {
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeProfile();
+      }
+    });
+  }
+  
+  // Profile links live in popups and in the profile itself, so delegate from the document
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest('[data-profile-link]');
+    if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+    
+    e.preventDefault();
+    openProfile(link.dataset.profileLink);
+  });
+}
+
+/**
+ * Setup listeners that keep the URL in step with the view
+ */
+function setupViewStateEventListeners() {
+  map.on('moveend', scheduleViewUrlUpdate);
+  
+  // Back/forward restores the view or profile recorded in that entry
+  window.addEventListener('popstate', () => {
+    openProfileFromLocation();
+    if (!PROFILE_PATH.test(window.location.pathname)) {
+      restoreViewState();
+    }
+  });
+}
+
+/**
+ * Setup the route planner: header button, options, stop list and popup "Add to route" buttons
+ */
+function setupRouteEventListeners() {
+  const button = document.getElementById('btn-route');
+  if (!button) return;
+  
+  if (!FEATURES.EXPERIMENTAL.ROUTE_PLANNING) {
+    button.style.display = 'none';
+    return;
+  }
+  
+  button.addEventListener('click', toggleRoutePlanner);
+  
+  const optimisation = document.getElementById('route-optimisation');
+  if (optimisation) {
+    optimisation.value = routeOptimisation;
+    optimisation.addEventListener('change', (e) => {
+      routeOptimisation = e.target.value;
+      localStorage.setItem('routeOptimisation', routeOptimisation);
+      updateRoute();
+    });
+  }
+  
+  const roundTrip = document.getElementById('route-round-trip');
+  if (roundTrip) {
+    roundTrip.checked = routeRoundTrip;
+    roundTrip.addEventListener('change', (e) => {
+      routeRoundTrip = e.target.checked;
+      localStorage.setItem('routeRoundTrip', routeRoundTrip.toString());
+      updateRoute();
+    });
+  }
+  
+  document.getElementById('route-add-visible')?.addEventListener('click', () => {
+    addRouteStops(getVisibleTraditions().filter(t => Array.isArray(t.coords)).map(t => t.id));
+  });
+  document.getElementById('route-export-gpx')?.addEventListener('click', exportRouteGpx);
+  document.getElementById('route-clear')?.addEventListener('click', clearRoute);
+  
+  document.getElementById('route-stops')?.addEventListener('click', (e) => {
+    const remove = e.target.closest('[data-route-remove]');
+    const stop = e.target.closest('[data-route-stop]');
+    if (remove) {
+      removeRouteStop(remove.dataset.routeRemove);
+    } else if (stop) {
+      flyToMarkers([stop.dataset.routeStop]);
+    }
+  });
+  
+  document.getElementById('toggle-route-panel')?.addEventListener('click', () => {
+    const content = document.querySelector('#route-panel .legend-content');
+    const icon = document.querySelector('#toggle-route-panel .material-icons');
+    const collapsed = content.classList.toggle('collapsed');
+    icon.textContent = collapsed ? 'keyboard_arrow_up' : 'keyboard_arrow_down';
+  });
+  
+  // "Add to route" buttons live in marker popups
+  document.addEventListener('click', (e) => {
+    const add = e.target.closest('[data-route-add]');
+    if (add) addRouteStops([add.dataset.routeAdd]);
+  });
+  
+  // Restore the planner saved from the last visit
+  applyRouteState();
+}
+
+/**
+ * Setup virtual tours: header button, tour list and player controls
+ */
+function setupTourEventListeners() {
+  const button = document.getElementById('btn-tours');
+  if (!button) return;
+  
+  if (!FEATURES.EXPERIMENTAL.VIRTUAL_TOURS) {
+    button.style.display = 'none';
+    return;
+  }
+  
+  const modal = document.getElementById('tours-modal');
+  
+  button.addEventListener('click', openToursModal);
+  document.getElementById('close-tours-modal')?.addEventListener('click', closeToursModal);
+  
+  // Close modal when clicking backdrop
+  if (modal) {
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeToursModal();
+      }
+    });
+  }
+  
+  document.getElementById('tour-list')?.addEventListener('click', (e) => {
+    const start = e.target.closest('[data-tour-start]');
+    if (start) startTour(start.dataset.tourStart);
+  });
+  
+  document.getElementById('close-tour-player')?.addEventListener('click', endTour);
+  document.getElementById('tour-prev')?.addEventListener('click', () => showTourStep(tourPlayer.index - 1));
+  document.getElementById('tour-next')?.addEventListener('click', () => showTourStep(tourPlayer.index + 1));
+  document.getElementById('tour-play')?.addEventListener('click', toggleTourAutoplay);
+  
+  // Arrow keys step through the tour unless typing
+  document.addEventListener('keydown', (e) => {
+    if (!tourPlayer.tour || ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName)) return;
+    if (e.key === 'ArrowLeft') showTourStep(tourPlayer.index - 1);
+    if (e.key === 'ArrowRight') showTourStep(tourPlayer.index + 1);
+  });
+}
+
 // ========================================
 // DATA LOADING AND API COMMUNICATION
 // ========================================
 
 /**
- * Load filter options from API
+ * Load filter options, with faceted counts for the given filters, from API
+ * @param {URLSearchParams} params - Current filter parameters (none on first load)
  */
-async function loadFilterOptions() {
+async function loadFilterOptions(params = new URLSearchParams()) {
+  // Counts refresh on every filter change, so the selects show a busy state instead of the blocking overlay
+  setFacetSelectsBusy(true);
   try {
-    showLoadingOverlay('Loading filter options...');
-    
-    const response = await fetch(`${API_BASE}/filter-options`);
+    const [response, taxonomyResponse] = await Promise.all([
+      fetch(`${API_BASE}/filter-options?${params}`),
+      fetch(`${API_BASE}/taxonomy?${params}`)
+    ]);
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
     
     filterOptions = await response.json();
+    
+    // The flat tradition list is still usable when the taxonomy is unavailable
+    if (taxonomyResponse.ok) {
+      traditionTaxonomy = await taxonomyResponse.json();
+    } else {
+      console.warn('⚠️ Tradition taxonomy unavailable:', taxonomyResponse.status);
+    }
+    
     populateFilterDropdowns();
     
-    console.log('✅ Filter options loaded successfully');
+    console.log(`✅ Filter options loaded (${filterOptions.total} matching saints)`);
   } catch (error) {
     console.error('❌ Failed to load filter options:', error);
     showToast('Failed to load filter options', 'error');
+  } finally {
+    setFacetSelectsBusy(false);
   }
 }
 
@@ -634,10 +1182,14 @@ async function loadInitialData() {
     
     allTraditions = await response.json();
     filteredTraditions = [...allTraditions];
+    populateHeatmapCenturies();
+
+    await loadRelationships();
 
     updateMapMarkers();
     updateStatistics();
     updateLegendCounts();
+    updateRoute();
     
     hideLoadingOverlay();
 
@@ -651,24 +1203,55 @@ async function loadInitialData() {
 }
 
 /**
- * Populate filter dropdown options
+ * Load saint relationship edges for the lineage network
+ * Failures are non-fatal - the map simply draws no lineage lines
  */
-function populateFilterDropdowns() {
-  const dropdowns = {
-    'saint-filter': filterOptions.saints || [],
-    'tradition-filter': filterOptions.traditions || [],
-    'tradition-type-filter': filterOptions.traditionTypes || [],
-    'gender-filter': filterOptions.genders || [],
-    'language-filter': filterOptions.languages || [],
-    'period-filter': filterOptions.periods || []
-  };
-  
-  Object.entries(dropdowns).forEach(([selectId, options]) => {
-    const select = document.getElementById(selectId);
-    if (select) {
-      // Clear existing options except the first one (All...)
-      const firstOption = select.firstElementChild;
-      select.innerHTML = '';
+async function loadRelationships() {
+  try {
+    const response = await fetch(`${API_BASE}/relationships`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    saintRelationships = await response.json();
+    console.log(`🔗 Loaded ${saintRelationships.length} saint relationships`);
+  } catch (error) {
+    console.error('❌ Failed to load relationships:', error);
+    saintRelationships = [];
+  }
+}
+
+/**
+ * Populate filter dropdown options
+ */
+function populateFilterDropdowns() {
+  // Select id -> facet key in the /api/filter-options response
+  const dropdowns = {
+    'saint-filter': 'saints',
+    'tradition-type-filter': 'traditionTypes',
+    'gender-filter': 'genders',
+    'language-filter': 'languages',
+    'period-filter': 'periods',
+    'school-filter': 'schools',
+    'century-filter': 'centuries'
+  };
+  
+  // Known alternative spellings, keyed by canonical name (from the alias registry)
+  const aliasGroups = {
+    'saint-filter': filterOptions.aliases?.saints || {},
+    'language-filter': filterOptions.aliases?.languages || {}
+  };
+  
+  Object.entries(dropdowns).forEach(([selectId, facet]) => {
+    const select = document.getElementById(selectId);
+    const options = filterOptions[facet] || [];
+    const counts = filterOptions.counts?.[facet];
+    const aliases = aliasGroups[selectId] || {};
+    if (select) {
+      // Clear existing options except the first one (All...), keeping the selection
+      const selected = select.value;
+      const firstOption = select.firstElementChild;
+      select.innerHTML = '';
       if (firstOption) {
         select.appendChild(firstOption);
       }
@@ -676,43 +1259,246 @@ function populateFilterDropdowns() {
       // Add new options
       options.forEach(option => {
         const optionElement = document.createElement('option');
+        const label = facet === 'centuries' ? formatCentury(option) : formatAliasLabel(option, aliases[option]);
         optionElement.value = option;
-        optionElement.textContent = option;
+        optionElement.textContent = formatFacetLabel(label, counts?.[option]);
+        optionElement.disabled = Boolean(counts) && !counts[option] && String(option) !== selected;
+        if (aliases[option]?.length) {
+          optionElement.title = `Also known as: ${aliases[option].join(', ')}`;
+        }
         select.appendChild(optionElement);
       });
+      
+      select.value = selected;
     }
   });
+  
+  populateTraditionTree();
+}
+
+/**
+ * Option label with its facet count, e.g. "Tamil (12)"
+ * @param {string} label - Option label
+ * @param {number|undefined} count - Matching saints, undefined when counts are unavailable
+ * @returns {string} Label
+ */
+function formatFacetLabel(label, count) {
+  return count === undefined && !filterOptions.counts ? label : `${label} (${count || 0})`;
+}
+
+/**
+ * Readable century label
+ * @param {number} century - Century number, negative for BCE
+ * @returns {string} Label, e.g. "13th century CE"
+ */
+function formatCentury(century) {
+  const n = Math.abs(century);
+  const suffix = [11, 12, 13].includes(n % 100) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix} century ${century < 0 ? 'BCE' : 'CE'}`;
+}
+
+/**
+ * Fill the tradition filter as an indented tree from the taxonomy
+ * Choosing a parent matches all of its descendants on the server; traditions
+ * outside the taxonomy are listed under "Other traditions"
+ */
+function populateTraditionTree() {
+  const select = document.getElementById('tradition-filter');
+  if (!select) return;
+  
+  const selected = select.value;
+  const firstOption = select.firstElementChild;
+  select.innerHTML = '';
+  if (firstOption) {
+    select.appendChild(firstOption);
+  }
+  
+  const aliases = filterOptions.aliases?.traditions || {};
+  const counts = filterOptions.counts?.traditions;
+  const covered = new Set();
+  
+  const addNode = (node, depth) => {
+    [node.name, ...node.aliases].forEach(name => covered.add(name.toLowerCase()));
+    
+    const optionElement = document.createElement('option');
+    optionElement.value = node.name;
+    optionElement.className = depth === 0 ? 'taxonomy-root' : 'taxonomy-child';
+    optionElement.textContent = `${'\u00A0\u00A0\u00A0'.repeat(depth)}${depth > 0 ? '└ ' : ''}${node.name} (${node.count})`;
+    optionElement.disabled = node.count === 0 && node.name !== selected;
+    optionElement.title = [
+      node.level,
+      node.aliases.length && `Also known as: ${node.aliases.join(', ')}`,
+      node.children.length && 'Includes all sub-schools and lineages'
+    ].filter(Boolean).join(' · ');
+    select.appendChild(optionElement);
+    
+    node.children.forEach(child => addNode(child, depth + 1));
+  };
+  
+  traditionTaxonomy.tree.forEach(node => addNode(node, 0));
+  
+  const others = (filterOptions.traditions || []).filter(name => !covered.has(name.toLowerCase()));
+  if (others.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = 'Other traditions';
+    others.forEach(name => {
+      const optionElement = document.createElement('option');
+      optionElement.value = name;
+      optionElement.textContent = formatFacetLabel(formatAliasLabel(name, aliases[name]), counts?.[name]);
+      optionElement.disabled = Boolean(counts) && !counts[name] && name !== selected;
+      group.appendChild(optionElement);
+    });
+    select.appendChild(group);
+  }
+  
+  select.value = selected;
+}
+
+/**
+ * Canonical name followed by its first few alternative spellings
+ * @param {string} name - Canonical name
+ * @param {Array<string>} alternatives - Known alternatives
+ * @returns {string} Option label, e.g. "Odia (Odiya, Oriya)"
+ */
+function formatAliasLabel(name, alternatives = []) {
+  if (!alternatives.length) return name;
+  
+  const shown = alternatives.slice(0, UI_CONFIG.ALIAS_LABEL_LIMIT);
+  const more = alternatives.length > shown.length ? ', …' : '';
+  return `${name} (${shown.join(', ')}${more})`;
 }
 
 // ========================================
 // FILTERING SYSTEM
 // ========================================
 
+/**
+ * Facet selects and the query parameter their chips fill
+ */
+const FACET_SELECTS = {
+  'saint-filter': 'saint',
+  'tradition-filter': 'tradition',
+  'tradition-type-filter': 'traditionType',
+  'gender-filter': 'gender',
+  'language-filter': 'language',
+  'school-filter': 'school',
+  'century-filter': 'century'
+};
+
+/**
+ * Single-value filter inputs and the query parameter they fill
+ */
+const FILTER_INPUTS = {
+  period: 'period-filter',
+  sufi: 'sufi-filter',
+  placeType: 'place-type-filter',
+  search: 'search-input',
+  startYearMin: 'search-filter1',
+  startYearMax: 'search-filter2'
+};
+
 /**
  * Update current filters from form inputs
+ * Facet chips become arrays: included values as-is, excluded ones prefixed with "!"
  */
 function updateCurrentFilters() {
-  const filterInputs = {
-    saint: document.getElementById('saint-filter')?.value || '',
-    tradition: document.getElementById('tradition-filter')?.value || '',
-    traditionType: document.getElementById('tradition-type-filter')?.value || '',
-    gender: document.getElementById('gender-filter')?.value || '',
-    language: document.getElementById('language-filter')?.value || '',
-    period: document.getElementById('period-filter')?.value || '',
-    placeType: document.getElementById('place-type-filter')?.value || '',
-    search: document.getElementById('search-input')?.value || '',
-    startYearMin: document.getElementById('search-filter1')?.value,
-    startYearMax: document.getElementById('search-filter2')?.value
-  };
+  const filterInputs = Object.fromEntries(
+    Object.entries(FILTER_INPUTS).map(([param, id]) => [param, document.getElementById(id)?.value || ''])
+  );
+  
+  Object.entries(facetSelections).forEach(([param, { values, mode }]) => {
+    filterInputs[param] = values.map(({ value, exclude }) => (exclude ? `!${value}` : value));
+    if (mode === 'all' && values.filter(v => !v.exclude).length > 1) {
+      filterInputs[`${param}Mode`] = 'all';
+    }
+  });
   
   // Remove empty values
   currentFilters = Object.fromEntries(
-    Object.entries(filterInputs).filter(([_, value]) => value !== '')
+    Object.entries(filterInputs).filter(([_, value]) => value !== '' && value !== undefined &&
+      !(Array.isArray(value) && value.length === 0))
   );
   
   console.log('📋 Updated filters:', currentFilters);
 }
 
+/**
+ * Add a value to a facet as an included chip
+ * @param {string} param - Facet query parameter
+ * @param {string} value - Value sent to the API
+ * @param {string} label - Chip label
+ */
+function addFacetValue(param, value, label) {
+  const selection = facetSelections[param] || { values: [], mode: 'any' };
+  if (!selection.values.some(v => v.value === value)) {
+    selection.values.push({ value, label, exclude: false });
+  }
+  facetSelections[param] = selection;
+  renderFacetChips(param);
+}
+
+/**
+ * Mark the facet selects busy while their counts refresh; they stay usable meanwhile
+ * Overlapping refreshes keep the selects busy until the last one finishes
+ * @param {boolean} busy - Whether a refresh starts (true) or ends (false)
+ */
+function setFacetSelectsBusy(busy) {
+  facetRefreshes = Math.max(0, facetRefreshes + (busy ? 1 : -1));
+  Object.keys(FACET_SELECTS).forEach(selectId => {
+    document.getElementById(selectId)?.setAttribute('aria-busy', String(facetRefreshes > 0));
+  });
+}
+
+/**
+ * Render the chips of one facet below its select
+ * Clicking a chip toggles include/exclude; the match button switches any/all
+ * @param {string} param - Facet query parameter
+ */
+function renderFacetChips(param) {
+  const selectId = Object.keys(FACET_SELECTS).find(id => FACET_SELECTS[id] === param);
+  const container = document.getElementById(`${selectId}-chips`);
+  if (!container) return;
+  
+  const selection = facetSelections[param] || { values: [], mode: 'any' };
+  container.innerHTML = '';
+  
+  selection.values.forEach((item, index) => {
+    const chip = document.createElement('span');
+    chip.className = `facet-chip${item.exclude ? ' excluded' : ''}`;
+    chip.innerHTML = `
+      <button type="button" class="facet-chip-label" title="${item.exclude ? 'Excluded - click to include' : 'Click to exclude'}">
+        ${item.exclude ? 'not ' : ''}${escapeHtml(item.label)}
+      </button>
+      <button type="button" class="facet-chip-remove" aria-label="Remove ${escapeHtml(item.label)}">
+        <span class="material-icons">close</span>
+      </button>
+    `;
+    chip.querySelector('.facet-chip-label').addEventListener('click', () => {
+      item.exclude = !item.exclude;
+      renderFacetChips(param);
+    });
+    chip.querySelector('.facet-chip-remove').addEventListener('click', () => {
+      selection.values.splice(index, 1);
+      renderFacetChips(param);
+    });
+    container.appendChild(chip);
+  });
+  
+  // Any/all only matters once two values are included
+  if (selection.values.filter(v => !v.exclude).length > 1) {
+    const modeToggle = document.createElement('button');
+    modeToggle.type = 'button';
+    modeToggle.className = 'facet-mode-toggle';
+    modeToggle.textContent = selection.mode === 'all' ? 'Match all' : 'Match any';
+    modeToggle.title = 'Switch between matching any or all of the chosen values';
+    modeToggle.addEventListener('click', () => {
+      selection.mode = selection.mode === 'all' ? 'any' : 'all';
+      renderFacetChips(param);
+    });
+    container.appendChild(modeToggle);
+  }
+}
+
 /**
  * Apply current filters to the data
  */
@@ -721,10 +1507,7 @@ async function applyCurrentFilters() {
     showLoadingOverlay('Applying filters...');
     
     // Build query parameters
-    const params = new URLSearchParams();
-    Object.entries(currentFilters).forEach(([key, value]) => {
-      if (value) params.append(key, value);
-    });
+    const params = buildFilterParams();
     
     console.log('🔍 Filter query params:', params.toString());
     
@@ -741,6 +1524,12 @@ async function applyCurrentFilters() {
     updateMapMarkers();
     updateLegendCounts();
     
+    // Refresh facet counts, regional totals and charts for the new selection
+    await loadFilterOptions(params);
+    updateChoropleth();
+    refreshDashboard();
+    updateViewUrl({ push: true });
+    
     hideLoadingOverlay();
     
     const count = filteredTraditions.length;
@@ -754,10 +1543,115 @@ async function applyCurrentFilters() {
   }
 }
 
+/**
+ * Build query parameters for the current filters
+ * The quick-filter place type applies when the filter panel has none
+ * @returns {URLSearchParams} Query parameters
+ */
+function buildFilterParams() {
+  const params = new URLSearchParams();
+  Object.entries(currentFilters).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => params.append(key, item));
+    } else if (value) {
+      params.append(key, value);
+    }
+  });
+  
+  if (!params.has('placeType') && selectedPlaceType && selectedPlaceType !== 'all') {
+    params.append('placeType', selectedPlaceType);
+  }
+  
+  return params;
+}
+
+/**
+ * Download the currently filtered markers from the export API
+ * @param {string} format - Export format (geojson, kml, csv, bibtex)
+ */
+function exportCurrentView(format) {
+  const params = buildFilterParams();
+  params.set('format', format);
+  
+  const link = document.createElement('a');
+  link.href = `${API_BASE}/export?${params}`;
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  showToast(`Exporting ${filteredTraditions.length} places as ${format.toUpperCase()}`, 'info');
+}
+
+/**
+ * Fetch ranked search results for the query within the current filters
+ * @param {string} query - Free-text query
+ */
+async function loadSearchResults(query) {
+  if (!query || !query.trim()) {
+    renderSearchResults([]);
+    return;
+  }
+  
+  try {
+    const params = buildFilterParams();
+    params.delete('search');
+    params.set('q', query.trim());
+    params.set('limit', UI_CONFIG.SEARCH_RESULTS_LIMIT);
+    
+    const response = await fetch(`${API_BASE}/search?${params}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    renderSearchResults(data.results);
+  } catch (error) {
+    console.error('❌ Search failed:', error);
+    renderSearchResults([]);
+  }
+}
+
+/**
+ * Render ranked search results with their highlighted snippets
+ * Snippets arrive HTML-escaped from the server with matches wrapped in <mark>
+ * @param {Array} results - Results from /api/search
+ */
+function renderSearchResults(results) {
+  const list = document.getElementById('search-results');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  results.forEach(result => {
+    const snippetField = result.matchedFields.find(field => field !== 'saint');
+    const item = document.createElement('li');
+    item.className = 'search-result';
+    item.innerHTML = `
+      <div class="search-result-title">${result.highlights.saint || escapeHtml(result.saint)}</div>
+      <div class="search-result-meta">${escapeHtml(result.tradition || '')}</div>
+      ${snippetField ? `<div class="search-result-snippet">${result.highlights[snippetField]}</div>` : ''}
+    `;
+    item.addEventListener('click', () => flyToSaint(result.id));
+    list.appendChild(item);
+  });
+}
+
 /**
  * Clear all filters and reload data
  */
 function clearAllFilters() {
+  resetFilterState();
+  renderSearchResults([]);
+  showAllTraditions();
+  updateViewUrl({ push: true });
+  
+  showToast('Filters cleared', 'info');
+}
+
+/**
+ * Empty the filter form, facet chips and quick filter without reloading
+ */
+function resetFilterState() {
   // Clear filter form
   const filterForm = document.querySelector('#filters-panel');
   if (filterForm) {
@@ -774,22 +1668,25 @@ function clearAllFilters() {
   // Clear year filter inputs specifically
   document.getElementById('search-filter1').value = '';
   document.getElementById('search-filter2').value = '';
-  // Reset year slider to full range
-// if (yearSlider) {
-//   yearSlider.set([YEAR_MIN, YEAR_MAX]);
-// }
   
   // Clear current filters
   currentFilters = {};
+  facetSelections = {};
+  Object.values(FACET_SELECTS).forEach(renderFacetChips);
   selectedPlaceType = 'all';
-  
-  // Reset data
+  updateQuickFilterUI('all');
+}
+
+/**
+ * Show every loaded place again, with unfiltered facet counts
+ */
+function showAllTraditions() {
   filteredTraditions = [...allTraditions];
   updateMapMarkers();
   updateLegendCounts();
-  updateQuickFilterUI('all');
-  
-  showToast('Filters cleared', 'info');
+  loadFilterOptions();
+  updateChoropleth();
+  refreshDashboard();
 }
 
 /**
@@ -807,6 +1704,9 @@ function filterByPlaceType(placeType) {
   
   updateMapMarkers();
   updateLegendCounts();
+  updateChoropleth();
+  refreshDashboard();
+  updateViewUrl({ push: true });
   
   const count = filteredTraditions.length;
   const typeName = placeType === 'all' ? 'places' : `${placeType} places`;
@@ -819,19 +1719,23 @@ function filterByPlaceType(placeType) {
 
 /**
  * Update map markers based on current data
- * Uses the global filteredTraditions array
+ * Uses the global filteredTraditions array, narrowed to the timeline window when it is active
  */
 function updateMapMarkers() {
   // Clear existing markers
   clusterGroup.clearLayers();
+  markerLayers.clear();
   
   // Add new markers from filteredTraditions
-  filteredTraditions.forEach(tradition => {
+  getVisibleTraditions().forEach(tradition => {
     const marker = createMarker(tradition);
     if (marker) {
       clusterGroup.addLayer(marker);
+      markerLayers.set(tradition.id, marker);
     }
   });
+  
+  updateHeatmap();
 
    // Update the lineage network after markers are placed
    if (lineageEnabled) {
@@ -866,6 +1770,16 @@ function createMarker(tradition) {
     className: 'custom-popup'
   });
   
+  // Track the open popup so it can be shared in the URL
+  marker.on('popupopen', () => {
+    openPlaceId = tradition.id;
+    scheduleViewUrlUpdate();
+  });
+  marker.on('popupclose', () => {
+    if (openPlaceId === tradition.id) openPlaceId = null;
+    scheduleViewUrlUpdate();
+  });
+  
   return marker;
 }
 
@@ -876,11 +1790,7 @@ function createMarker(tradition) {
  * @returns {L.DivIcon} Custom Leaflet icon
  */
 function createCustomIcon(type, saint) {
-  const iconMap = {
-    birth: 'spa'
-  };
-  
-  const icon = iconMap[type] || 'place';
+  const icon = config.getMarkerIcon(type) || 'place';
   const colorClass = `marker-${type}`;
   
   return L.divIcon({
@@ -960,6 +1870,18 @@ function createPopupContent(tradition) {
           <p>${tradition.philosophy}</p>
         </div>
         ` : ''}
+        ${FEATURES.EXPERIMENTAL.ROUTE_PLANNING ? `
+        <button type="button" class="popup-route-add" data-route-add="${tradition.id}">
+          <span class="material-icons">add_road</span>
+          Add to route
+        </button>
+        ` : ''}
+        ${tradition.saintId ? `
+        <a class="popup-profile-link" href="/saint/${tradition.saintId}" data-profile-link="${tradition.saintId}">
+          <span class="material-icons">open_in_new</span>
+          View full profile
+        </a>
+        ` : ''}
       </div>
     </div>
   `;
@@ -970,46 +1892,49 @@ function createPopupContent(tradition) {
 // ========================================
 
 /**
- * Update the lineage network - creates arrow lines from earlier to later saints
- * based on their startYear values
+ * Update the lineage network - draws an arrow for each stored relationship
+ * whose saints are both present in the visible markers
  */
 function updateLineageNetwork() {
   if (!lineageLayer) return;
   
   // Clear existing lineage lines
   lineageLayer.clearLayers();
-  
-  // Filter traditions that have valid coordinates and startYear
-  const traditionsWithYear = filteredTraditions.filter(t => 
-    t.coords && 
-    Array.isArray(t.coords) && 
-    t.coords.length === 2 &&
-    t.startYear &&
-    !isNaN(parseInt(t.startYear, 10))
-  );
-  
-  if (traditionsWithYear.length < 2) {
-    console.log('📊 Not enough data points for lineage network');
-    return;
-  }
-  
-  // Sort by startYear (chronologically)
-  const sortedTraditions = [...traditionsWithYear].sort((a, b) => {
-    return parseInt(a.startYear, 10) - parseInt(b.startYear, 10);
+  const previousKeys = drawnLineageKeys;
+  drawnLineageKeys = new Set();
+  
+  // Pick one marker per saint to anchor its edges, preferring the birth place
+  const saintAnchors = new Map();
+  getVisibleTraditions().forEach(t => {
+    if (!t.saintId || !t.coords || !Array.isArray(t.coords) || t.coords.length !== 2) return;
+    const current = saintAnchors.get(t.saintId);
+    if (!current || (current.type !== 'birth' && t.type === 'birth')) {
+      saintAnchors.set(t.saintId, t);
+    }
   });
   
-  // Create connections between consecutive saints (chronological chain)
-  const connections = [];
-  for (let i = 0; i < sortedTraditions.length - 1; i++) {
-    const current = sortedTraditions[i];
-    const next = sortedTraditions[i + 1];
-    
-    connections.push({
-      from: current,
-      to: next,
-      fromYear: parseInt(current.startYear, 10),
-      toYear: parseInt(next.startYear, 10)
+  const connections = saintRelationships
+    .filter(edge => saintAnchors.has(edge.from) && saintAnchors.has(edge.to))
+    .map(edge => {
+      const from = saintAnchors.get(edge.from);
+      const to = saintAnchors.get(edge.to);
+      const key = `${edge.from}>${edge.to}:${edge.type}`;
+      drawnLineageKeys.add(key);
+      return {
+        from,
+        to,
+        type: edge.type,
+        directed: edge.directed,
+        fromYear: getStartYear(from),
+        toYear: getStartYear(to),
+        // While scrubbing the timeline only edges that just appeared fade in
+        steady: timeline.active && previousKeys.has(key)
+      };
     });
+  
+  if (connections.length === 0) {
+    console.log('📊 No relationships to draw for the current markers');
+    return;
   }
   
   console.log(`🔗 Creating ${connections.length} lineage connections`);
@@ -1023,19 +1948,45 @@ function updateLineageNetwork() {
   updateLineageVisibility();
 }
 
+/**
+ * Normalized start year of a marker's saint (parsed server-side from "c. 1440", "15th century", etc.)
+ * @param {Object} tradition - Tradition marker
+ * @returns {number} Year (negative for BCE), or NaN when unknown
+ */
+function getStartYear(tradition) {
+  const year = tradition.dates?.start?.year;
+  return typeof year === 'number' ? year : NaN;
+}
+
+/**
+ * Human-readable label for a relationship edge, read from the "from" saint's side
+ * @param {string} type - Relationship type
+ * @returns {string} Label
+ */
+function formatRelationshipType(type) {
+  const labels = {
+    'guru': 'guru of',
+    'disciple': 'guru of',
+    'influenced-by': 'influenced',
+    'sampradaya-founder': 'founded the sampradaya of',
+    'contemporary': 'contemporary of'
+  };
+  return labels[type] || type;
+}
+
 /**
  * Create an arrow line between two tradition markers
  * @param {Object} connection - Connection object with from/to traditions
  */
 function createLineageArrow(connection) {
-  const { from, to, fromYear, toYear } = connection;
+  const { from, to, fromYear, toYear, type, directed, steady } = connection;
   
   // Create the polyline with an arrow
   const fromLatLng = L.latLng(from.coords[0], from.coords[1]);
   const toLatLng = L.latLng(to.coords[0], to.coords[1]);
   
   // Calculate the year difference for color intensity
-  const yearDiff = toYear - fromYear;
+  const yearDiff = Math.abs(toYear - fromYear) || 0;
   const opacity = Math.max(0.3, Math.min(0.8, 0.3 + (yearDiff / 500) * 0.5));
   
   // Create a curved line (using a bezier-like approach with intermediate point)
@@ -1066,7 +2017,8 @@ function createLineageArrow(connection) {
     opacity: opacity,
     smoothFactor: 1,
     dashArray: '5, 10',
-    className: 'lineage-line'
+    renderer: lineageRenderer,
+    className: steady ? 'lineage-line timeline-steady' : 'lineage-line'
   });
   
   // Store connection data on the polyline for visibility checking
@@ -1080,12 +2032,12 @@ function createLineageArrow(connection) {
   };
   
   // Add tooltip showing connection info
+  const formatYear = (year) => isNaN(year) ? '' : (year < 0 ? ` (${-year} BCE)` : ` (${year} CE)`);
   const tooltipContent = `
     <div class="lineage-tooltip">
-      <strong>${from.saint}</strong> (${fromYear} CE)
-      <br/>↓<br/>
-      <strong>${to.saint}</strong> (${toYear} CE)
-      <br/><small>${toYear - fromYear} years</small>
+      <strong>${from.saint}</strong>${formatYear(fromYear)}
+      <br/>${directed ? '↓' : '↔'} <small>${formatRelationshipType(type)}</small><br/>
+      <strong>${to.saint}</strong>${formatYear(toYear)}
     </div>
   `;
   polyline.bindTooltip(tooltipContent, {
@@ -1093,8 +2045,10 @@ function createLineageArrow(connection) {
     className: 'lineage-tooltip-container'
   });
   
-  // Add arrow head at the end
-  const arrowHead = createArrowHead(linePoints[linePoints.length - 2], toLatLng, getLineageColor(fromYear), opacity);
+  // Add arrow head at the end - contemporaries are drawn without direction
+  const arrowHead = directed
+    ? createArrowHead(linePoints[linePoints.length - 2], toLatLng, getLineageColor(fromYear), opacity, !steady)
+    : null;
   
   // Add to lineage layer
   lineageLayer.addLayer(polyline);
@@ -1109,9 +2063,10 @@ function createLineageArrow(connection) {
  * @param {L.LatLng} toPoint - Arrow tip position
  * @param {string} color - Arrow color
  * @param {number} opacity - Arrow opacity
+ * @param {boolean} fadeIn - Animate the arrow head in with its line
  * @returns {L.Marker} Arrow head marker
  */
-function createArrowHead(fromPoint, toPoint, color, opacity) {
+function createArrowHead(fromPoint, toPoint, color, opacity, fadeIn = false) {
   // Calculate angle from the last segment
   const angle = Math.atan2(
     toPoint.lat - fromPoint.lat,
@@ -1121,7 +2076,7 @@ function createArrowHead(fromPoint, toPoint, color, opacity) {
   // Create arrow head using SVG
   const arrowIcon = L.divIcon({
     html: `
-      <svg viewBox="0 0 20 20" style="transform: rotate(${angle - 90}deg); opacity: ${opacity};">
+      <svg viewBox="0 0 20 20" class="${fadeIn ? 'timeline-fade-in' : ''}" style="transform: rotate(${angle - 90}deg); opacity: ${opacity};">
         <path d="M10 0 L20 20 L10 15 L0 20 Z" fill="${color}" />
       </svg>
     `,
@@ -1256,436 +2211,2591 @@ function toggleLineageNetwork() {
   }
 }
 // ========================================
-// UI PANEL MANAGEMENT
+// DENSITY HEATMAP
 // ========================================
 
 /**
- * Toggle filters panel visibility
+ * Toggle heatmap mode and remember the choice across reloads
  */
-function toggleFiltersPanel() {
-  const filtersPanel = document.getElementById('filters-panel');
-  if (!filtersPanel) return;
-  
-  isFiltersVisible = !isFiltersVisible;
+function toggleHeatmap() {
+  heatmapEnabled = !heatmapEnabled;
+  localStorage.setItem('heatmapEnabled', heatmapEnabled.toString());
+  applyHeatmapState();
+  showToast(`Heatmap ${heatmapEnabled ? 'enabled' : 'disabled'}`, 'info');
+}
+
+/**
+ * Show or hide the heatmap layer, its legend and the button state to match heatmapEnabled
+ */
+function applyHeatmapState() {
+  const enabled = heatmapEnabled && Boolean(heatLayer);
   
-  if (isFiltersVisible) {
-    filtersPanel.classList.remove('hidden');
-    updateCurrentFilters();
-  } else {
-    filtersPanel.classList.add('hidden');
+  if (heatLayer && map) {
+    if (enabled) {
+      map.addLayer(heatLayer);
+      updateHeatmap();
+    } else {
+      map.removeLayer(heatLayer);
+    }
   }
   
-  // Update button state
-  const btnFilters = document.getElementById('btn-filters');
-  if (btnFilters) {
-    btnFilters.style.backgroundColor = isFiltersVisible ? 'rgba(255, 255, 255, 0.3)' : '';
-  }
+  document.getElementById('heatmap-legend')?.classList.toggle('hidden', !enabled);
+  document.getElementById('btn-heatmap')?.classList.toggle('active', enabled);
+  updateHeatmapLegend();
 }
 
 /**
- * Toggle legend panel collapse state
+ * Redraw the heatmap from the visible markers, so it follows the filters and the timeline
  */
-function toggleLegendPanel() {
-  const legendContent = document.querySelector('.legend-content');
-  const toggleIcon = document.querySelector('#toggle-legend .material-icons');
-  
-  if (!legendContent || !toggleIcon) return;
+function updateHeatmap() {
+  if (!heatLayer || !heatmapEnabled) return;
   
-  isLegendCollapsed = !isLegendCollapsed;
-  
-  if (isLegendCollapsed) {
-    legendContent.classList.add('collapsed');
-    toggleIcon.textContent = 'keyboard_arrow_up';
-  } else {
-    legendContent.classList.remove('collapsed');
-    toggleIcon.textContent = 'keyboard_arrow_down';
-  }
+  const points = getHeatmapPoints(getVisibleTraditions());
+  const max = points.reduce((highest, point) => Math.max(highest, point[2]), 0);
   
-  localStorage.setItem('legendCollapsed', isLegendCollapsed.toString());
+  // Scale to the densest spot so the ramp is used in full whatever the weighting
+  heatLayer.setOptions({ max: max || 1 });
+  heatLayer.setLatLngs(points);
 }
 
 /**
- * Update quick filter UI state
- * @param {string} activeType - Currently active place type
+ * Aggregate markers into weighted heatmap points
+ * Markers at (nearly) the same spot are merged so one shrine with many saints reads as one hot spot
+ * @param {Array} traditions - Tradition markers
+ * @returns {Array} [lat, lng, weight] points
  */
-function updateQuickFilterUI(activeType) {
-  const filterChips = document.querySelectorAll('.filter-chip[data-place-type]');
-  filterChips.forEach(chip => {
-    const chipType = chip.getAttribute('data-place-type');
-    if (chipType === activeType) {
-      chip.classList.add('active');
+function getHeatmapPoints(traditions) {
+  const spots = new Map();
+  
+  traditions.forEach(tradition => {
+    if (!Array.isArray(tradition.coords) || tradition.coords.length !== 2) return;
+    
+    const [lat, lng] = tradition.coords;
+    const key = `${lat.toFixed(HEATMAP_CONFIG.COORD_PRECISION)},${lng.toFixed(HEATMAP_CONFIG.COORD_PRECISION)}`;
+    const spot = spots.get(key) || { lat, lng, saints: new Set(), weight: 0 };
+    
+    if (heatmapWeighting === 'type') {
+      spot.weight += HEATMAP_CONFIG.TYPE_WEIGHTS[tradition.type] ?? 0.5;
+    } else if (heatmapWeighting === 'century') {
+      spot.weight += getCenturyWeight(tradition);
     } else {
-      chip.classList.remove('active');
+      spot.saints.add(tradition.saintId || tradition.saint);
     }
+    spots.set(key, spot);
   });
+  
+  return [...spots.values()]
+    .map(spot => [spot.lat, spot.lng, heatmapWeighting === 'saints' ? spot.saints.size : spot.weight])
+    .filter(point => point[2] > 0);
 }
 
-// ========================================
-// CONTRIBUTION SYSTEM
-// ========================================
+/**
+ * Century of a marker's saint, from the normalized start year
+ * @param {Object} tradition - Tradition marker
+ * @returns {number|null} Century number (negative for BCE), or null when undated
+ */
+function getTraditionCentury(tradition) {
+  const year = getStartYear(tradition);
+  if (isNaN(year) || year === 0) return null;
+  return year > 0 ? Math.ceil(year / 100) : Math.floor(year / 100);
+}
 
 /**
- * Open contribution modal
+ * Weight of a marker when weighting by century: full in the focus century,
+ * falling off by CENTURY_FALLOFF for every century away from it
+ * @param {Object} tradition - Tradition marker
+ * @returns {number} Weight between 0 and 1
  */
-function openContributionModal() {
-  const modal = document.getElementById('contribution-modal');
-  if (modal) {
-    modal.style.display = 'block';
-    document.body.style.overflow = 'hidden';
-    
-    // Focus first input
-    const firstInput = modal.querySelector('input[type="text"]');
-    if (firstInput) {
-      setTimeout(() => firstInput.focus(), 100);
-    }
-  }
+function getCenturyWeight(tradition) {
+  const century = getTraditionCentury(tradition);
+  if (century === null || heatmapCentury === null) return 0;
+  return HEATMAP_CONFIG.CENTURY_FALLOFF ** Math.abs(century - heatmapCentury);
 }
 
 /**
- * Close contribution modal
+ * Fill the focus century select from the loaded data, defaulting to the busiest century
  */
-function closeContributionModal() {
-  const modal = document.getElementById('contribution-modal');
-  if (modal) {
-    modal.style.display = 'none';
-    document.body.style.overflow = '';
-    
-    // Reset form
-    const form = document.getElementById('contribution-form');
-    if (form) {
-      form.reset();
-    }
+function populateHeatmapCenturies() {
+  const select = document.getElementById('heatmap-century');
+  if (!select) return;
+  
+  const counts = new Map();
+  allTraditions.forEach(tradition => {
+    const century = getTraditionCentury(tradition);
+    if (century !== null) counts.set(century, (counts.get(century) || 0) + 1);
+  });
+  
+  const centuries = [...counts.keys()].sort((a, b) => a - b);
+  if (heatmapCentury === null || !counts.has(heatmapCentury)) {
+    heatmapCentury = centuries.reduce((best, c) => (counts.get(c) > (counts.get(best) || 0) ? c : best), null);
   }
+  
+  select.innerHTML = centuries
+    .map(century => `<option value="${century}">${formatCentury(century)}</option>`)
+    .join('');
+  if (heatmapCentury !== null) select.value = heatmapCentury;
+  updateHeatmapLegend();
 }
 
 /**
- * Handle contribution form submission
- * @param {Event} e - Form submit event
+ * Describe the active weighting under the legend gradient
  */
-async function handleContributionSubmit(e) {
+function updateHeatmapLegend() {
+  const description = document.getElementById('heatmap-description');
+  const centurySelect = document.getElementById('heatmap-century');
+  
+  centurySelect?.classList.toggle('hidden', heatmapWeighting !== 'century');
+  if (!description) return;
+  
+  const descriptions = {
+    saints: 'Concentration of saints connected to each place',
+    type: 'Sacred places weighted by type - samadhis and temples count most',
+    century: heatmapCentury === null
+      ? 'Sacred places weighted by century'
+      : `Sacred places of the ${formatCentury(heatmapCentury)}, fading with distance in time`
+  };
+  description.textContent = descriptions[heatmapWeighting] || descriptions.saints;
+}
+
+// ========================================
+// REGIONAL CHOROPLETH
+// ========================================
+
+/**
+ * Toggle the choropleth and remember the choice across reloads
+ */
+function toggleChoropleth() {
+  choroplethEnabled = !choroplethEnabled;
+  localStorage.setItem('choroplethEnabled', choroplethEnabled.toString());
+  applyChoroplethState();
+  showToast(`Regional view ${choroplethEnabled ? 'enabled' : 'disabled'}`, 'info');
+}
+
+/**
+ * Show or hide the choropleth layer, its panel and the button state to match choroplethEnabled
+ */
+function applyChoroplethState() {
+  document.getElementById('choropleth-panel')?.classList.toggle('hidden', !choroplethEnabled);
+  document.getElementById('btn-choropleth')?.classList.toggle('active', choroplethEnabled);
+  
+  if (choroplethEnabled) {
+    updateChoropleth();
+  } else if (choroplethLayer) {
+    map.removeLayer(choroplethLayer);
+    choroplethLayer = null;
+  }
+}
+
+/**
+ * Fetch outlines and regional counts for the current filters and redraw the choropleth
+ */
+async function updateChoropleth() {
+  if (!choroplethEnabled || !map) return;
+  
+  const requestId = ++choroplethRequest;
+  const params = buildFilterParams();
+  params.set('level', choroplethLevel);
+  if (choroplethLevel === 'polity') params.set('century', choroplethCentury);
+  
+  document.getElementById('choropleth-century')?.classList.toggle('hidden', choroplethLevel !== 'polity');
+  
+  try {
+    const [boundaries, stats] = await Promise.all([
+      loadRegionBoundaries(choroplethLevel, choroplethCentury),
+      fetch(`${API_BASE}/stats/regions?${params}`).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        return response.json();
+      })
+    ]);
+    
+    if (requestId !== choroplethRequest || !choroplethEnabled) return;
+    renderChoropleth(boundaries, stats);
+  } catch (error) {
+    console.error('❌ Failed to load regional statistics:', error);
+    showToast('Failed to load regional statistics', 'error');
+  }
+}
+
+/**
+ * Region outlines for a level, cached per level and century
+ * @param {string} level - 'state' or 'polity'
+ * @param {number} century - Century for historical polities
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
+ */
+async function loadRegionBoundaries(level, century) {
+  const key = level === 'polity' ? `${level}:${century}` : level;
+  if (regionBoundaryCache.has(key)) return regionBoundaryCache.get(key);
+  
+  const params = new URLSearchParams({ level });
+  if (level === 'polity') params.set('century', century);
+  
+  const response = await fetch(`${API_BASE}/regions?${params}`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  const boundaries = await response.json();
+  
+  if (boundaries.centuries) populateChoroplethCenturies(boundaries.centuries);
+  regionBoundaryCache.set(key, boundaries);
+  return boundaries;
+}
+
+/**
+ * Fill the century select for historical polities
+ * @param {Array<number>} centuries - Centuries that have polity outlines
+ */
+function populateChoroplethCenturies(centuries) {
+  const select = document.getElementById('choropleth-century');
+  if (!select || select.options.length === centuries.length) return;
+  
+  select.innerHTML = centuries
+    .map(century => `<option value="${century}">${formatCentury(century)}</option>`)
+    .join('');
+  select.value = choroplethCentury;
+}
+
+/**
+ * Draw the outlines coloured by the active metric, with tooltips and a legend
+ * @param {Object} boundaries - GeoJSON outlines
+ * @param {Object} stats - /api/stats/regions response
+ */
+function renderChoropleth(boundaries, stats) {
+  const regions = new Map(stats.regions.map(region => [region.id, region]));
+  const scale = getChoroplethScale(stats.regions);
+  
+  if (choroplethLayer) map.removeLayer(choroplethLayer);
+  
+  choroplethLayer = L.geoJSON(boundaries, {
+    pane: 'choropleth',
+    style: feature => ({
+      color: '#7f8c8d',
+      weight: 1,
+      fillColor: scale.color(regions.get(feature.properties.id)),
+      fillOpacity: CHOROPLETH_CONFIG.FILL_OPACITY
+    }),
+    onEachFeature: (feature, layer) => {
+      layer.bindTooltip(createRegionTooltip(feature.properties, regions.get(feature.properties.id)), {
+        sticky: true,
+        className: 'lineage-tooltip-container'
+      });
+    }
+  }).addTo(map);
+  
+  const legend = document.getElementById('choropleth-legend');
+  if (legend) {
+    legend.innerHTML = scale.legend
+      .map(({ color, label }) => `
+        <div class="choropleth-legend-item">
+          <span class="choropleth-swatch" style="background: ${color}"></span>
+          <span>${escapeHtml(label)}</span>
+        </div>
+      `)
+      .join('');
+  }
+  
+  const description = document.getElementById('choropleth-description');
+  if (description) {
+    const era = stats.level === 'polity' ? ` of the ${formatCentury(stats.century)}` : '';
+    const outside = stats.unassigned ? `, ${stats.unassigned} outside the outlines` : '';
+    description.textContent = `${stats.total} places${era}${outside}`;
+  }
+}
+
+/**
+ * Colour scale and legend entries for the active metric
+ * Counts use a sequential ramp split evenly up to the busiest region; dominant
+ * traditions/languages get categorical colours, most saints first
+ * @param {Array} regions - Regional stats
+ * @returns {{ color: Function, legend: Array }} color(region) and [{ color, label }]
+ */
+function getChoroplethScale(regions) {
+  const { COUNT_COLORS, CATEGORY_COLORS, CATEGORY_LIMIT, EMPTY_COLOR } = CHOROPLETH_CONFIG;
+  const empty = { color: EMPTY_COLOR, label: 'No saints' };
+  
+  if (choroplethMetric === 'saints') {
+    const max = Math.max(0, ...regions.map(region => region.saints));
+    const steps = Math.min(COUNT_COLORS.length, max);
+    const bounds = Array.from({ length: steps }, (_, i) => Math.ceil((max * (i + 1)) / steps));
+    
+    return {
+      color: region => {
+        if (!region?.saints) return EMPTY_COLOR;
+        return COUNT_COLORS[bounds.findIndex(bound => region.saints <= bound)];
+      },
+      legend: [
+        ...bounds.map((bound, i) => {
+          const from = i === 0 ? 1 : bounds[i - 1] + 1;
+          return { color: COUNT_COLORS[i], label: from === bound ? `${bound} saints` : `${from}–${bound} saints` };
+        }),
+        empty
+      ]
+    };
+  }
+  
+  const key = choroplethMetric === 'language' ? 'dominantLanguage' : 'dominantTradition';
+  const totals = new Map();
+  regions.forEach(region => {
+    if (region[key]) totals.set(region[key], (totals.get(region[key]) || 0) + region.saints);
+  });
+  
+  const ranked = [...totals.keys()].sort((a, b) => totals.get(b) - totals.get(a));
+  const named = ranked.slice(0, CATEGORY_LIMIT);
+  const other = CATEGORY_COLORS[CATEGORY_COLORS.length - 1];
+  const colors = new Map(named.map((value, i) => [value, CATEGORY_COLORS[i % (CATEGORY_COLORS.length - 1)]]));
+  
+  return {
+    color: region => (region?.[key] ? colors.get(region[key]) || other : EMPTY_COLOR),
+    legend: [
+      ...named.map(value => ({ color: colors.get(value), label: value })),
+      ...(ranked.length > named.length ? [{ color: other, label: 'Other' }] : []),
+      empty
+    ]
+  };
+}
+
+/**
+ * Tooltip for a region: saint and place counts with the leading traditions and languages
+ * @param {Object} properties - Outline properties (name, capital, from/to for polities)
+ * @param {Object} region - Regional stats, if any saints fall inside
+ * @returns {string} HTML content
+ */
+function createRegionTooltip(properties, region) {
+  const list = items => items.map(item => `${escapeHtml(item.name)} (${item.count})`).join(', ');
+  const capital = properties.capital ? `<br/><small>Capital: ${escapeHtml(properties.capital)}</small>` : '';
+  
+  if (!region?.saints) {
+    return `<div class="lineage-tooltip"><strong>${escapeHtml(properties.name)}</strong>${capital}<br/><small>No saints</small></div>`;
+  }
+  
+  return `
+    <div class="lineage-tooltip">
+      <strong>${escapeHtml(properties.name)}</strong>${capital}
+      <br/>${region.saints} saint${region.saints !== 1 ? 's' : ''}, ${region.places} place${region.places !== 1 ? 's' : ''}
+      ${region.traditions.length ? `<br/><small>Traditions: ${list(region.traditions)}</small>` : ''}
+      ${region.languages.length ? `<br/><small>Languages: ${list(region.languages)}</small>` : ''}
+    </div>
+  `;
+}
+
+// ========================================
+// TIMELINE SCRUBBER
+// ========================================
+
+// Minimum time between marker diffs while playing, so clustering keeps up
+const TIMELINE_RENDER_INTERVAL = 100;
+
+/**
+ * Traditions to draw: the filtered set, narrowed to the timeline window when it is active
+ * @returns {Array} Visible tradition markers
+ */
+function getVisibleTraditions() {
+  return timeline.active ? filteredTraditions.filter(isInTimeline) : filteredTraditions;
+}
+
+/**
+ * Whether a saint's lifetime overlaps the timeline window
+ * Undated saints cannot be placed on the timeline and are hidden while it is active
+ * @param {Object} tradition - Tradition marker
+ * @returns {boolean} True when the saint was active during the window
+ */
+function isInTimeline(tradition) {
+  const { start, end } = tradition.dates || {};
+  const born = start?.earliest ?? start?.year ?? end?.earliest;
+  const died = end?.latest ?? end?.year ?? start?.latest;
+  if (typeof born !== 'number' || typeof died !== 'number') return false;
+  return born <= timeline.end && died >= timeline.start;
+}
+
+/**
+ * Year under a pointer position on the timeline track
+ * @param {number} clientX - Pointer x coordinate
+ * @returns {number} Year CE, clamped to the timeline range
+ */
+function getTimelineYear(clientX) {
+  const rect = document.getElementById('timeline-track').getBoundingClientRect();
+  const ratio = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+  return TIMELINE_CONFIG.MIN_YEAR + ratio * (TIMELINE_CONFIG.MAX_YEAR - TIMELINE_CONFIG.MIN_YEAR);
+}
+
+/**
+ * Position of a year along the track as a CSS percentage
+ * @param {number} year - Year CE
+ * @returns {number} Percentage from the left edge
+ */
+function getTimelinePercent(year) {
+  return ((year - TIMELINE_CONFIG.MIN_YEAR) / (TIMELINE_CONFIG.MAX_YEAR - TIMELINE_CONFIG.MIN_YEAR)) * 100;
+}
+
+/**
+ * Draw century ticks along the track
+ */
+function renderTimelineTicks() {
+  const ticks = document.getElementById('timeline-ticks');
+  if (!ticks) return;
+  
+  const { MIN_YEAR, MAX_YEAR, TICK_INTERVAL } = TIMELINE_CONFIG;
+  const labels = [];
+  for (let year = Math.ceil(MIN_YEAR / TICK_INTERVAL) * TICK_INTERVAL; year <= MAX_YEAR; year += TICK_INTERVAL) {
+    labels.push(`<span class="timeline-tick" style="left: ${getTimelinePercent(year)}%">${year}</span>`);
+  }
+  ticks.innerHTML = labels.join('');
+}
+
+/**
+ * Move the timeline window, activating the timeline if needed
+ * The window keeps at least MIN_WINDOW years and stays inside the timeline range
+ * @param {number} start - Window start year
+ * @param {number} end - Window end year
+ */
+function setTimelineWindow(start, end) {
+  const { MIN_YEAR, MAX_YEAR, MIN_WINDOW } = TIMELINE_CONFIG;
+  const width = Math.min(Math.max(end - start, MIN_WINDOW), MAX_YEAR - MIN_YEAR);
+  
+  start = Math.min(Math.max(start, MIN_YEAR), MAX_YEAR - width);
+  timeline.start = start;
+  timeline.end = start + width;
+  timeline.active = true;
+  
+  renderTimelineWindow();
+  scheduleTimelineView();
+}
+
+/**
+ * Reflect the timeline state in the bar: window position, label and active styling
+ */
+function renderTimelineWindow() {
+  const bar = document.getElementById('timeline-bar');
+  const windowEl = document.getElementById('timeline-window');
+  const label = document.getElementById('timeline-label');
+  if (!bar || !windowEl) return;
+  
+  const start = Math.round(timeline.start);
+  const end = Math.round(timeline.end);
+  const text = timeline.active ? `${start} – ${end} CE` : 'All years';
+  
+  bar.classList.toggle('active', timeline.active);
+  windowEl.style.left = `${getTimelinePercent(timeline.start)}%`;
+  windowEl.style.width = `${getTimelinePercent(timeline.end) - getTimelinePercent(timeline.start)}%`;
+  windowEl.setAttribute('aria-valuetext', text);
+  if (label) label.textContent = text;
+}
+
+/**
+ * Diff the map against the timeline window on the next animation frame
+ */
+function scheduleTimelineView() {
+  if (timeline.frame || timeline.playing) return;
+  timeline.frame = requestAnimationFrame(() => {
+    timeline.frame = null;
+    updateTimelineView();
+  });
+}
+
+/**
+ * Bring the markers on the map in line with the timeline window
+ * Only markers that enter or leave the window are touched, and entering ones fade in
+ */
+function updateTimelineView() {
+  if (!clusterGroup) return;
+  scheduleViewUrlUpdate();
+  
+  const visible = getVisibleTraditions();
+  const visibleIds = new Set(visible.map(t => t.id));
+  
+  const removed = [];
+  markerLayers.forEach((marker, id) => {
+    if (!visibleIds.has(id)) {
+      removed.push(marker);
+      markerLayers.delete(id);
+    }
+  });
+  
+  const added = [];
+  visible.forEach(tradition => {
+    if (markerLayers.has(tradition.id)) return;
+    const marker = createMarker(tradition);
+    if (!marker) return;
+    
+    // Animate the inner container - Leaflet positions the icon element itself with a transform
+    marker.once('add', () => {
+      marker.getElement()?.querySelector('.unified-marker-container')?.classList.add('timeline-fade-in');
+    });
+    markerLayers.set(tradition.id, marker);
+    added.push(marker);
+  });
+  
+  if (removed.length) clusterGroup.removeLayers(removed);
+  if (added.length) clusterGroup.addLayers(added);
+  if (removed.length || added.length) updateHeatmap();
+  
+  if (lineageEnabled && (removed.length || added.length)) {
+    updateLineageNetwork();
+  }
+}
+
+/**
+ * Start animating the window across the centuries, from the beginning if it is at the end
+ */
+function playTimeline() {
+  const width = timeline.active ? timeline.end - timeline.start : TIMELINE_CONFIG.DEFAULT_WINDOW;
+  if (!timeline.active || timeline.end >= TIMELINE_CONFIG.MAX_YEAR) {
+    setTimelineWindow(TIMELINE_CONFIG.MIN_YEAR, TIMELINE_CONFIG.MIN_YEAR + width);
+  }
+  
+  if (timeline.frame) cancelAnimationFrame(timeline.frame);
+  timeline.playing = true;
+  timeline.lastFrame = performance.now();
+  timeline.lastRender = 0;
+  timeline.frame = requestAnimationFrame(stepTimeline);
+  updateTimelinePlayButton();
+}
+
+/**
+ * Advance the window by the elapsed time; markers are diffed at most every TIMELINE_RENDER_INTERVAL
+ * @param {number} now - Frame timestamp
+ */
+function stepTimeline(now) {
+  // Cap the step so returning to a background tab does not jump the window
+  const elapsed = Math.min((now - timeline.lastFrame) / 1000, 0.25);
+  const width = timeline.end - timeline.start;
+  timeline.lastFrame = now;
+  
+  timeline.start = Math.min(timeline.start + elapsed * timeline.speed, TIMELINE_CONFIG.MAX_YEAR - width);
+  timeline.end = timeline.start + width;
+  renderTimelineWindow();
+  
+  const finished = timeline.end >= TIMELINE_CONFIG.MAX_YEAR;
+  if (finished || now - timeline.lastRender >= TIMELINE_RENDER_INTERVAL) {
+    timeline.lastRender = now;
+    updateTimelineView();
+  }
+  
+  if (finished) {
+    pauseTimeline();
+    return;
+  }
+  timeline.frame = requestAnimationFrame(stepTimeline);
+}
+
+/**
+ * Stop playback, leaving the window where it is
+ */
+function pauseTimeline() {
+  if (!timeline.playing) return;
+  cancelAnimationFrame(timeline.frame);
+  timeline.frame = null;
+  timeline.playing = false;
+  updateTimelinePlayButton();
+}
+
+/**
+ * Turn the timeline off and show every filtered marker again
+ */
+function resetTimeline() {
+  pauseTimeline();
+  timeline.active = false;
+  timeline.start = TIMELINE_CONFIG.MIN_YEAR;
+  timeline.end = TIMELINE_CONFIG.MIN_YEAR + TIMELINE_CONFIG.DEFAULT_WINDOW;
+  renderTimelineWindow();
+  updateTimelineView();
+}
+
+/**
+ * Swap the play button icon to match the playback state
+ */
+function updateTimelinePlayButton() {
+  const button = document.getElementById('timeline-play');
+  if (!button) return;
+  button.querySelector('.material-icons').textContent = timeline.playing ? 'pause' : 'play_arrow';
+  button.title = timeline.playing ? 'Pause' : 'Play through the centuries';
+}
+
+// ========================================
+// UI PANEL MANAGEMENT
+// ========================================
+
+/**
+ * Toggle filters panel visibility
+ */
+function toggleFiltersPanel() {
+  const filtersPanel = document.getElementById('filters-panel');
+  if (!filtersPanel) return;
+  
+  isFiltersVisible = !isFiltersVisible;
+  
+  if (isFiltersVisible) {
+    filtersPanel.classList.remove('hidden');
+    updateCurrentFilters();
+  } else {
+    filtersPanel.classList.add('hidden');
+  }
+  
+  // Update button state
+  const btnFilters = document.getElementById('btn-filters');
+  if (btnFilters) {
+    btnFilters.style.backgroundColor = isFiltersVisible ? 'rgba(255, 255, 255, 0.3)' : '';
+  }
+}
+
+/**
+ * Toggle legend panel collapse state
+ */
+function toggleLegendPanel() {
+  const legendContent = document.querySelector('#legend-panel .legend-content');
+  const toggleIcon = document.querySelector('#toggle-legend .material-icons');
+  
+  if (!legendContent || !toggleIcon) return;
+  
+  isLegendCollapsed = !isLegendCollapsed;
+  
+  if (isLegendCollapsed) {
+    legendContent.classList.add('collapsed');
+    toggleIcon.textContent = 'keyboard_arrow_up';
+  } else {
+    legendContent.classList.remove('collapsed');
+    toggleIcon.textContent = 'keyboard_arrow_down';
+  }
+  
+  localStorage.setItem('legendCollapsed', isLegendCollapsed.toString());
+}
+
+/**
+ * Update quick filter UI state
+ * @param {string} activeType - Currently active place type
+ */
+function updateQuickFilterUI(activeType) {
+  const filterChips = document.querySelectorAll('.filter-chip[data-place-type]');
+  filterChips.forEach(chip => {
+    const chipType = chip.getAttribute('data-place-type');
+    if (chipType === activeType) {
+      chip.classList.add('active');
+    } else {
+      chip.classList.remove('active');
+    }
+  });
+}
+
+// ========================================
+// CONTRIBUTION SYSTEM
+// ========================================
+
+/**
+ * Open contribution modal
+ */
+function openContributionModal() {
+  const modal = document.getElementById('contribution-modal');
+  if (modal) {
+    modal.style.display = 'block';
+    document.body.style.overflow = 'hidden';
+    
+    // Focus first input
+    const firstInput = modal.querySelector('input[type="text"]');
+    if (firstInput) {
+      setTimeout(() => firstInput.focus(), 100);
+    }
+  }
+}
+
+/**
+ * Close contribution modal
+ */
+function closeContributionModal() {
+  const modal = document.getElementById('contribution-modal');
+  if (modal) {
+    modal.style.display = 'none';
+    document.body.style.overflow = '';
+    
+    // Reset form
+    const form = document.getElementById('contribution-form');
+    if (form) {
+      form.reset();
+    }
+    const relatedSaintInput = document.getElementById('RelatedSaintName');
+    if (relatedSaintInput) delete relatedSaintInput.dataset.saintId;
+  }
+}
+
+/**
+ * Handle contribution form submission
+ * @param {Event} e - Form submit event
+ */
+async function handleContributionSubmit(e) {
   e.preventDefault();
   
   try {
-    showLoadingOverlay('Submitting contribution...');
-    
-    const formData = new FormData(e.target);
+    showLoadingOverlay('Submitting contribution...');
+    
+    const formData = new FormData(e.target);
+    
+    const contributionData = {
+      saint: formData.get('saint'),
+      tradition: formData.get('tradition'),
+      startYear : formData.get('startYear'),
+      endYear: formData.get('endYear'),
+      period : formData.get('period'),
+      traditionType: formData.get('traditionType'),
+      gender: formData.get('gender'),
+      language: formData.get('language'),
+      school: formData.get('school'),
+      presidingDeity: formData.get('presidingDeity'),
+      sufi: formData.has('sufi'),
+      texts: formData.get('texts')?.split(',').map(t => t.trim()).filter(Boolean) || [],
+      sources: formData.get('sources')?.split('\n').map(s => s.trim()).filter(Boolean) || [],
+      philosophy: formData.get('philosophy'),
+      birthPlace: formData.get("birthPlace") || "",
+      deathPlace: formData.get("deathPlace") || "",
+      places: {
+        birth: processPlaceInput(formData.get('birthPlace')),
+        death: processPlaceInput(formData.get('deathPlace')),
+        enlightenment: processPlaceInput(formData.get('enlightenmentPlace')),
+        samadhi: processPlaceInput(formData.get('samadhiPlace')),
+        temple: processMultiplePlaceInput(formData.get('templePlaces')),
+        influence: processMultiplePlaceInput(formData.get('influenceAreas'))
+      },
+      relatedSaints : {
+        // The picked saint's id; a pasted record id is sent as typed
+        id : document.getElementById('RelatedSaintName')?.dataset.saintId || formData.get('RelatedSaintName'),
+        type : formData.get('typeOfRelation')
+      }
+    };
+    
+    const response = await fetch(`${API_BASE}/contribute`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(contributionData)
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      // Name each rejected field or related saint; toasts render HTML, so the details are escaped
+      const details = Array.isArray(errorData.details) ? errorData.details : [];
+      throw new Error([errorData.error || `HTTP ${response.status}`, ...details].map(escapeHtml).join('<br>'));
+    }
+    
+    const result = await response.json();
+    
+    hideLoadingOverlay();
+    closeContributionModal();
+    
+    // Contributions are moderated, so the map is not reloaded here
+    showToast(result.message || 'Contribution submitted for review!', 'success');
+    
+  } catch (error) {
+    console.error('❌ Failed to submit contribution:', error);
+    hideLoadingOverlay();
+    showToast(error.message || 'Failed to submit contribution', 'error');
+  }
+}
+
+/**
+ * Process single place input
+ * @param {string} input - Place input string
+ * @returns {Object|null} Processed place object
+ */
+function processPlaceInput(input) {
+  if (!input || !input.trim()) return null;
+  
+  return {
+    name: input.trim(),
+    coords: null,
+    region: null
+  };
+}
+
+/**
+ * Process comma-separated place input
+ * @param {string} input - Place input string
+ * @returns {Array|null} Processed place objects
+ */
+function processMultiplePlaceInput(input) {
+  if (!input || !input.trim()) return null;
+  
+  const places = input.split(',')
+    .map(name => processPlaceInput(name))
+    .filter(Boolean);
+  
+  return places.length ? places : null;
+}
+
+/**
+ * Related saint picker: saints from the omnibox suggestions, the picked id kept on the input
+ */
+function setupRelatedSaintPicker() {
+  const input = document.getElementById('RelatedSaintName');
+  if (!input) return;
+  
+  let suggestionsList = document.getElementById(`${input.id}-suggestions`);
+  if (!suggestionsList) {
+    suggestionsList = document.createElement('ul');
+    suggestionsList.id = `${input.id}-suggestions`;
+    suggestionsList.className = 'place-suggestions';
+    input.parentElement.appendChild(suggestionsList);
+  }
+  
+  let currentSelection = -1;
+  
+  input.addEventListener('input', () => {
+    // Editing the name drops the saint picked earlier
+    delete input.dataset.saintId;
+    currentSelection = -1;
+    clearTimeout(suggestionTimeouts.get(input.id));
+    
+    const query = input.value.trim();
+    if (query.length < 2) {
+      hideSuggestions(suggestionsList);
+      return;
+    }
+    
+    suggestionTimeouts.set(input.id, setTimeout(() => {
+      fetchRelatedSaintSuggestions(query, suggestionsList, input);
+    }, UI_CONFIG.SEARCH_DEBOUNCE));
+  });
+  
+  input.addEventListener('keydown', (e) => {
+    const items = suggestionsList.querySelectorAll('.suggestion-item');
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      currentSelection = e.key === 'ArrowDown'
+        ? Math.min(currentSelection + 1, items.length - 1)
+        : Math.max(currentSelection - 1, -1);
+      updateSuggestionSelection(items, currentSelection);
+    } else if (e.key === 'Enter' && currentSelection >= 0 && items[currentSelection]) {
+      e.preventDefault();
+      items[currentSelection].click();
+    } else if (e.key === 'Escape') {
+      hideSuggestions(suggestionsList);
+      currentSelection = -1;
+    }
+  });
+  
+  input.addEventListener('blur', () => {
+    // Delay hiding to allow clicking on suggestions
+    setTimeout(() => hideSuggestions(suggestionsList), 150);
+  });
+}
+
+/**
+ * Fetch saint suggestions for the related saint picker
+ * @param {string} query - Typed name
+ * @param {HTMLElement} suggestionsList - Suggestions list element
+ * @param {HTMLElement} input - Related saint input
+ */
+async function fetchRelatedSaintSuggestions(query, suggestionsList, input) {
+  suggestionRequests.get(input.id)?.abort();
+  const controller = new AbortController();
+  suggestionRequests.set(input.id, controller);
+  
+  try {
+    const params = new URLSearchParams({ q: query, limit: UI_CONFIG.OMNIBOX_GROUP_LIMIT });
+    const response = await fetch(`${API_BASE}/search/suggest?${params}`, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const { groups } = await response.json();
+    suggestionsList.innerHTML = '';
+    
+    (groups.saints || []).forEach(saint => {
+      const item = document.createElement('li');
+      item.className = 'suggestion-item';
+      item.textContent = saint.detail ? `${saint.label} (${saint.detail})` : saint.label;
+      item.addEventListener('click', () => {
+        input.value = saint.label;
+        input.dataset.saintId = saint.id;
+        hideSuggestions(suggestionsList);
+      });
+      suggestionsList.appendChild(item);
+    });
+    
+    if (suggestionsList.hasChildNodes()) {
+      showSuggestions(suggestionsList);
+    } else {
+      hideSuggestions(suggestionsList);
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error('❌ Failed to fetch saint suggestions:', error);
+    hideSuggestions(suggestionsList);
+  }
+}
+
+// ========================================
+// OMNIBOX SEARCH
+// ========================================
+
+/**
+ * Icons and headings for the omnibox result groups, in display order
+ */
+const OMNIBOX_GROUPS = {
+  saints: { title: 'Saints', icon: 'person' },
+  places: { title: 'Places', icon: 'place' },
+  traditions: { title: 'Traditions', icon: 'account_balance' },
+  texts: { title: 'Texts', icon: 'menu_book' }
+};
+
+/**
+ * Fetch grouped suggestions for the omnibox
+ * @param {string} query - Search query
+ */
+async function fetchOmniboxSuggestions(query) {
+  try {
+    const params = new URLSearchParams({ q: query, limit: UI_CONFIG.OMNIBOX_GROUP_LIMIT });
+    const response = await fetch(`${API_BASE}/search/suggest?${params}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    
+    // Ignore responses for a query the user has already typed past
+    if (document.getElementById('omnibox-input')?.value.trim() !== query) return;
+    
+    renderOmniboxResults(data.groups);
+  } catch (error) {
+    console.error('❌ Omnibox suggestions failed:', error);
+  }
+}
+
+/**
+ * Render grouped omnibox results
+ * Labels arrive HTML-escaped from the server with matches wrapped in <mark>
+ * @param {Object} groups - { saints, places, traditions, texts }
+ */
+function renderOmniboxResults(groups) {
+  const results = document.getElementById('omnibox-results');
+  if (!results) return;
+  
+  results.innerHTML = '';
+  
+  Object.entries(OMNIBOX_GROUPS).forEach(([group, { title, icon }]) => {
+    const items = groups[group] || [];
+    if (items.length === 0) return;
+    
+    const heading = document.createElement('div');
+    heading.className = 'omnibox-group-title';
+    heading.textContent = title;
+    results.appendChild(heading);
+    
+    items.forEach(item => {
+      const option = document.createElement('div');
+      option.className = 'omnibox-item';
+      option.setAttribute('role', 'option');
+      option.innerHTML = `
+        <span class="material-icons">${icon}</span>
+        <span class="omnibox-item-label">${item.html}</span>
+        ${item.detail ? `<span class="omnibox-item-detail">${escapeHtml(item.detail)}</span>` : ''}
+      `;
+      // mousedown fires before the input's blur closes the list
+      option.addEventListener('mousedown', (e) => e.preventDefault());
+      option.addEventListener('click', () => selectOmniboxResult(group, item));
+      results.appendChild(option);
+    });
+  });
+  
+  if (!results.hasChildNodes()) {
+    results.innerHTML = '<div class="omnibox-empty">No matches</div>';
+  }
+  
+  openOmnibox();
+}
+
+/**
+ * Fly the map to the picked omnibox result
+ * @param {string} group - Result group
+ * @param {Object} item - Result from /api/search/suggest
+ */
+function selectOmniboxResult(group, item) {
+  closeOmnibox();
+  document.getElementById('omnibox-input')?.blur();
+  
+  switch (group) {
+    case 'saints':
+      flyToSaint(item.id);
+      break;
+    case 'places':
+      flyToMarkers(item.markerIds);
+      break;
+    case 'traditions':
+      flyToMarkers(getSaintMarkerIds(item.saintIds), { openPopup: false });
+      break;
+    case 'texts':
+      flyToSaint(item.saintId);
+      break;
+  }
+  
+  announceToScreenReader(`Showing ${item.label} on the map`);
+}
+
+/**
+ * Marker ids for the given saints, birth places first
+ * @param {Array<string>} saintIds - Saint record ids
+ * @returns {Array<string>} Marker ids
+ */
+function getSaintMarkerIds(saintIds) {
+  const ids = new Set(saintIds);
+  return allTraditions
+    .filter(tradition => ids.has(tradition.saintId))
+    .sort((a, b) => (b.type === 'birth') - (a.type === 'birth'))
+    .map(tradition => tradition.id);
+}
+
+/**
+ * Fly the map to every place of a saint and open the first popup
+ * @param {string} saintId - Saint record id
+ */
+function flyToSaint(saintId) {
+  flyToMarkers(getSaintMarkerIds([saintId]));
+}
+
+/**
+ * Fly the map to a set of markers and open the popup of the first one
+ * Markers hidden by the current filters get a standalone popup instead
+ * @param {Array<string>} markerIds - Marker ids from /api/traditions
+ * @param {Object} options - { openPopup }
+ */
+function flyToMarkers(markerIds, { openPopup = true } = {}) {
+  const targets = markerIds
+    .map(id => allTraditions.find(tradition => tradition.id === id))
+    .filter(tradition => Array.isArray(tradition?.coords));
+  
+  if (targets.length === 0) {
+    showToast('No mapped places for this result', 'warning');
+    return;
+  }
+  
+  const [first] = targets;
+  
+  if (openPopup) {
+    map.once('moveend', () => {
+      const layer = markerLayers.get(first.id);
+      if (layer) {
+        clusterGroup.zoomToShowLayer(layer, () => layer.openPopup());
+      } else {
+        L.popup({ maxWidth: 350, className: 'custom-popup' })
+          .setLatLng(first.coords)
+          .setContent(createPopupContent(first))
+          .openOn(map);
+        showToast('This place is hidden by the current filters', 'info');
+      }
+    });
+  }
+  
+  if (targets.length === 1) {
+    map.flyTo(first.coords, Math.max(map.getZoom(), UI_CONFIG.OMNIBOX_FLY_ZOOM));
+  } else {
+    map.flyToBounds(L.latLngBounds(targets.map(t => t.coords)), {
+      padding: [50, 50],
+      maxZoom: UI_CONFIG.OMNIBOX_FLY_ZOOM
+    });
+  }
+}
+
+/**
+ * Show the omnibox result list
+ */
+function openOmnibox() {
+  const omnibox = document.getElementById('omnibox');
+  omnibox?.classList.add('open');
+  omnibox?.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Hide the omnibox result list
+ */
+function closeOmnibox() {
+  const omnibox = document.getElementById('omnibox');
+  omnibox?.classList.remove('open');
+  omnibox?.setAttribute('aria-expanded', 'false');
+}
+
+// ========================================
+// PLACE SUGGESTIONS SYSTEM
+// ========================================
+
+/**
+ * Setup place suggestion functionality
+ */
+function setupPlaceSuggestions() {
+  // Comma-separated temple and influence inputs are left without suggestions
+  const suggestionInputs = [
+    'birth-place', 'death-place', 'enlightenment-place', 'samadhi-place'
+  ];
+  
+  suggestionInputs.forEach(inputId => {
+    const input = document.getElementById(inputId);
+    if (input) {
+      setupSinglePlaceSuggestion(input);
+    }
+  });
+}
+
+/**
+ * Setup place suggestion for a single input
+ * @param {HTMLElement} input - Input element
+ */
+function setupSinglePlaceSuggestion(input) {
+  const container = input.parentElement;
+  const suggestionsId = input.id + '-suggestions';
+  let suggestionsList = document.getElementById(suggestionsId);
+  
+  if (!suggestionsList) {
+    suggestionsList = document.createElement('ul');
+    suggestionsList.id = suggestionsId;
+    suggestionsList.className = 'place-suggestions';
+    container.appendChild(suggestionsList);
+  }
+  
+  let currentSelection = -1;
+  
+  input.addEventListener('input', (e) => {
+    const query = e.target.value.trim();
+    
+    if (query.length < 3) {
+      hideSuggestions(suggestionsList);
+      return;
+    }
+    
+    // Clear existing timeout
+    if (suggestionTimeouts.has(input.id)) {
+      clearTimeout(suggestionTimeouts.get(input.id));
+    }
+    
+    // Set new timeout for debouncing
+    const timeout = setTimeout(() => {
+      fetchPlaceSuggestions(query, suggestionsList, input);
+    }, UI_CONFIG.SEARCH_DEBOUNCE);
+    
+    suggestionTimeouts.set(input.id, timeout);
+  });
+  
+  input.addEventListener('keydown', (e) => {
+    const items = suggestionsList.querySelectorAll('.suggestion-item');
+    
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        currentSelection = Math.min(currentSelection + 1, items.length - 1);
+        updateSuggestionSelection(items, currentSelection);
+        break;
+      
+      case 'ArrowUp':
+        e.preventDefault();
+        currentSelection = Math.max(currentSelection - 1, -1);
+        updateSuggestionSelection(items, currentSelection);
+        break;
+      
+      case 'Enter':
+        e.preventDefault();
+        if (currentSelection >= 0 && items[currentSelection]) {
+          selectSuggestion(items[currentSelection], input, suggestionsList);
+        }
+        break;
+      
+      case 'Escape':
+        hideSuggestions(suggestionsList);
+        currentSelection = -1;
+        break;
+    }
+  });
+  
+  input.addEventListener('blur', () => {
+    // Delay hiding to allow clicking on suggestions
+    setTimeout(() => {
+      hideSuggestions(suggestionsList);
+      currentSelection = -1;
+    }, 150);
+  });
+}
+
+/**
+ * Fetch place suggestions from API
+ * @param {string} query - Search query
+ * @param {HTMLElement} suggestionsList - Suggestions list element
+ * @param {HTMLElement} input - Input element
+ */
+async function fetchPlaceSuggestions(query, suggestionsList, input) {
+  // A newer keystroke supersedes the request still in flight for this input
+  suggestionRequests.get(input.id)?.abort();
+  const controller = new AbortController();
+  suggestionRequests.set(input.id, controller);
+  
+  try {
+    const response = await fetch(`${API_BASE}/suggest-places/${encodeURIComponent(query)}`, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const suggestions = await response.json();
+    displaySuggestions(suggestions, suggestionsList, input);
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error('❌ Failed to fetch place suggestions:', error);
+    hideSuggestions(suggestionsList);
+  }
+}
+
+/**
+ * Display place suggestions
+ * @param {Array} suggestions - Array of suggestion objects
+ * @param {HTMLElement} suggestionsList - Suggestions list element
+ * @param {HTMLElement} input - Input element
+ */
+function displaySuggestions(suggestions, suggestionsList, input) {
+  suggestionsList.innerHTML = '';
+  
+  if (suggestions.length === 0) {
+    hideSuggestions(suggestionsList);
+    return;
+  }
+  
+  suggestions.slice(0, 5).forEach((suggestion, index) => {
+    const item = document.createElement('li');
+    item.className = 'suggestion-item';
+    item.textContent = suggestion.fullName || suggestion.name;
+    item.dataset.value = suggestion.name;
+    
+    item.addEventListener('click', () => {
+      selectSuggestion(item, input, suggestionsList);
+    });
+    
+    suggestionsList.appendChild(item);
+  });
+  
+  showSuggestions(suggestionsList);
+}
+
+/**
+ * Select a place suggestion
+ * @param {HTMLElement} item - Selected suggestion item
+ * @param {HTMLElement} input - Input element
+ * @param {HTMLElement} suggestionsList - Suggestions list element
+ */
+function selectSuggestion(item, input, suggestionsList) {
+  input.value = item.dataset.value;
+  hideSuggestions(suggestionsList);
+  input.focus();
+}
+
+/**
+ * Update suggestion selection highlighting
+ * @param {NodeList} items - Suggestion items
+ * @param {number} selectedIndex - Index of selected item
+ */
+function updateSuggestionSelection(items, selectedIndex) {
+  items.forEach((item, index) => {
+    if (index === selectedIndex) {
+      item.classList.add('highlighted');
+    } else {
+      item.classList.remove('highlighted');
+    }
+  });
+}
+
+/**
+ * Show suggestions list
+ * @param {HTMLElement} suggestionsList - Suggestions list element
+ */
+function showSuggestions(suggestionsList) {
+  suggestionsList.classList.add('show');
+  suggestionsList.style.display = 'block';
+}
+
+/**
+ * Hide suggestions list
+ * @param {HTMLElement} suggestionsList - Suggestions list element
+ */
+function hideSuggestions(suggestionsList) {
+  suggestionsList.classList.remove('show');
+  suggestionsList.style.display = 'none';
+}
+
+// ========================================
+// STATISTICS AND UI UPDATES
+// ========================================
+
+/**
+ * Update header statistics
+ */
+function updateStatistics() {
+  const totalPlaces = document.getElementById('total-places');
+  const totalSaints = document.getElementById('total-saints');
+  const totalTraditions = document.getElementById('total-traditions');
+  
+  if (totalPlaces) {
+    totalPlaces.textContent = allTraditions.length;
+  }
+  
+  if (totalSaints) {
+    const uniqueSaints = new Set(allTraditions.map(t => t.saint).filter(Boolean));
+    totalSaints.textContent = uniqueSaints.size;
+  }
+  
+  if (totalTraditions) {
+    const uniqueTraditions = new Set(allTraditions.map(t => t.tradition).filter(Boolean));
+    totalTraditions.textContent = uniqueTraditions.size;
+  }
+}
+
+/**
+ * Update legend counts
+ */
+function updateLegendCounts() {
+  // Count places by type
+  const counts = Object.fromEntries(
+    Object.keys(config.MARKER_CONFIG.COLORS).map(type => [type, 0])
+  );
+  
+  filteredTraditions.forEach(tradition => {
+    if (tradition.type && counts.hasOwnProperty(tradition.type)) {
+      counts[tradition.type]++;
+    }
+  });
+  
+  // Update UI
+  Object.entries(counts).forEach(([type, count]) => {
+    const countElement = document.getElementById(`${type}-count`);
+    if (countElement) {
+      countElement.textContent = count;
+    }
+  });
+  
+  placeTypeCounts = counts;
+}
+
+// ========================================
+// STATISTICS DASHBOARD
+// ========================================
+
+/**
+ * Open the statistics dashboard and chart the active filters
+ */
+function openDashboard() {
+  const modal = document.getElementById('stats-modal');
+  if (!modal) return;
+  
+  modal.style.display = 'block';
+  document.body.style.overflow = 'hidden';
+  isDashboardOpen = true;
+  loadDashboard();
+}
+
+/**
+ * Close the statistics dashboard
+ */
+function closeDashboard() {
+  const modal = document.getElementById('stats-modal');
+  if (!modal || !isDashboardOpen) return;
+  
+  modal.style.display = 'none';
+  document.body.style.overflow = '';
+  isDashboardOpen = false;
+}
+
+/**
+ * Reload the charts after a filter change, if the dashboard is open
+ */
+function refreshDashboard() {
+  if (isDashboardOpen) loadDashboard();
+}
+
+/**
+ * Fetch the /api/stats aggregations for the current filters and draw the charts
+ */
+async function loadDashboard() {
+  if (typeof Chart === 'undefined') {
+    showToast('Charts are unavailable - Chart.js failed to load', 'error');
+    return;
+  }
+  
+  const requestId = ++dashboardRequest;
+  const params = buildFilterParams();
+  const filtered = params.toString() !== '';
+  params.set('limit', DASHBOARD_CONFIG.TOP_LIMIT);
+  
+  const summary = document.getElementById('dashboard-summary');
+  if (summary) summary.textContent = 'Loading statistics...';
+  
+  try {
+    const [centuries, gender, languages, placeTypes] = await Promise.all(
+      ['centuries', 'gender', 'languages', 'place-types'].map(async (route) => {
+        const response = await fetch(`${API_BASE}/stats/${route}?${params}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        return response.json();
+      })
+    );
+    
+    if (requestId !== dashboardRequest) return;
+    
+    renderCenturyChart(centuries);
+    renderGenderChart(gender);
+    renderLanguageChart(languages);
+    renderPlaceTypeChart(placeTypes);
+    
+    if (summary) {
+      const undated = centuries.undated ? ` (${centuries.undated} undated)` : '';
+      summary.textContent = `${centuries.total} saints and ${placeTypes.total} places${undated}` +
+        (filtered ? ' matching the active filters' : '');
+    }
+  } catch (error) {
+    console.error('❌ Failed to load statistics:', error);
+    if (summary) summary.textContent = 'Statistics could not be loaded.';
+    showToast('Failed to load statistics', 'error');
+  }
+}
+
+/**
+ * Create or replace a chart on a dashboard canvas, styled for the current theme
+ * @param {string} id - Canvas element id
+ * @param {Object} chartConfig - Chart.js configuration
+ */
+function renderDashboardChart(id, chartConfig) {
+  const canvas = document.getElementById(id);
+  if (!canvas) return;
+  
+  dashboardCharts[id]?.destroy();
+  
+  const styles = getComputedStyle(document.body);
+  Chart.defaults.color = styles.getPropertyValue('--text-secondary').trim() || '#666666';
+  Chart.defaults.font.family = 'Inter, sans-serif';
+  
+  dashboardCharts[id] = new Chart(canvas, {
+    ...chartConfig,
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: { duration: UI_CONFIG.ANIMATION_DURATION },
+      ...chartConfig.options
+    }
+  });
+}
+
+/**
+ * Saints per century as a bar chart
+ * @param {Object} data - /api/stats/centuries response
+ */
+function renderCenturyChart(data) {
+  renderDashboardChart('chart-centuries', {
+    type: 'bar',
+    data: {
+      labels: data.centuries.map(entry => formatCentury(entry.century).replace(' century', '')),
+      datasets: [{
+        label: 'Saints',
+        data: data.centuries.map(entry => entry.saints),
+        backgroundColor: DASHBOARD_CONFIG.BAR_COLOR
+      }]
+    },
+    options: {
+      plugins: { legend: { display: false } },
+      scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+    }
+  });
+}
+
+/**
+ * Gender split within the largest traditions as stacked horizontal bars
+ * @param {Object} data - /api/stats/gender response
+ */
+function renderGenderChart(data) {
+  const palette = DASHBOARD_CONFIG.PALETTE;
+  
+  renderDashboardChart('chart-gender', {
+    type: 'bar',
+    data: {
+      labels: data.traditions.map(entry => entry.tradition),
+      datasets: data.genders.map((gender, i) => ({
+        label: gender,
+        data: data.traditions.map(entry => entry.counts[gender] || 0),
+        backgroundColor: DASHBOARD_CONFIG.GENDER_COLORS[gender] ||
+          (gender === 'Unknown' ? DASHBOARD_CONFIG.OTHER_COLOR : palette[i % palette.length])
+      }))
+    },
+    options: {
+      indexAxis: 'y',
+      scales: {
+        x: { stacked: true, beginAtZero: true, ticks: { precision: 0 } },
+        y: { stacked: true }
+      }
+    }
+  });
+}
+
+/**
+ * Saints per language as a doughnut, with the long tail folded into "Other"
+ * @param {Object} data - /api/stats/languages response
+ */
+function renderLanguageChart(data) {
+  const palette = DASHBOARD_CONFIG.PALETTE;
+  const entries = data.other
+    ? [...data.languages, { language: 'Other', saints: data.other }]
+    : data.languages;
+  
+  renderDashboardChart('chart-languages', {
+    type: 'doughnut',
+    data: {
+      labels: entries.map(entry => entry.language),
+      datasets: [{
+        data: entries.map(entry => entry.saints),
+        backgroundColor: entries.map((entry, i) =>
+          entry.language === 'Other' && data.other ? DASHBOARD_CONFIG.OTHER_COLOR : palette[i % palette.length]
+        )
+      }]
+    },
+    options: {
+      plugins: { legend: { position: 'right' } }
+    }
+  });
+}
+
+/**
+ * Places per type as bars in the marker colours
+ * @param {Object} data - /api/stats/place-types response
+ */
+function renderPlaceTypeChart(data) {
+  renderDashboardChart('chart-place-types', {
+    type: 'bar',
+    data: {
+      labels: data.placeTypes.map(entry => config.formatPlaceType(entry.type)),
+      datasets: [{
+        label: 'Places',
+        data: data.placeTypes.map(entry => entry.places),
+        backgroundColor: data.placeTypes.map(entry => config.getMarkerColor(entry.type) || DASHBOARD_CONFIG.OTHER_COLOR)
+      }]
+    },
+    options: {
+      plugins: { legend: { display: false } },
+      scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+    }
+  });
+}
+
+// ========================================
+// PILGRIMAGE ROUTE PLANNER
+// ========================================
+
+/**
+ * Stop ids saved from the last visit, or none if the saved value is unreadable
+ * @returns {Array<string>} Marker ids
+ */
+function loadSavedRouteStops() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('routeStops') || '[]');
+    return Array.isArray(saved) ? saved.filter(id => typeof id === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Toggle the route planner panel and route layer
+ */
+function toggleRoutePlanner() {
+  routeEnabled = !routeEnabled;
+  localStorage.setItem('routeEnabled', routeEnabled.toString());
+  applyRouteState();
+}
+
+/**
+ * Show or hide the planner panel, route layer and button state to match routeEnabled
+ */
+function applyRouteState() {
+  document.getElementById('route-panel')?.classList.toggle('hidden', !routeEnabled);
+  document.getElementById('btn-route')?.classList.toggle('active', routeEnabled);
+  
+  if (routeEnabled) {
+    updateRoute();
+  } else if (routeLayer) {
+    map.removeLayer(routeLayer);
+    routeLayer = null;
+  }
+}
+
+/**
+ * Add places to the route, skipping ones already in it
+ * @param {Array<string>} ids - Marker ids
+ */
+function addRouteStops(ids) {
+  const existing = new Set(routeStopIds);
+  const fresh = [...new Set(ids)].filter(id => !existing.has(id));
+  const room = ROUTE_CONFIG.MAX_STOPS - routeStopIds.length;
+  
+  if (fresh.length === 0) {
+    showToast('Already in the route', 'info');
+    return;
+  }
+  if (room <= 0) {
+    showToast(`A route holds at most ${ROUTE_CONFIG.MAX_STOPS} stops`, 'warning');
+    return;
+  }
+  
+  routeStopIds.push(...fresh.slice(0, room));
+  saveRouteStops();
+  
+  if (!routeEnabled) {
+    toggleRoutePlanner();
+  } else {
+    updateRoute();
+  }
+  
+  const skipped = fresh.length - Math.min(fresh.length, room);
+  showToast(skipped > 0
+    ? `Added ${room} stops - the route is full, ${skipped} places were left out`
+    : `Added ${fresh.length} stop${fresh.length !== 1 ? 's' : ''} to the route`, skipped > 0 ? 'warning' : 'success');
+}
+
+/**
+ * Remove one place from the route
+ * @param {string} id - Marker id
+ */
+function removeRouteStop(id) {
+  routeStopIds = routeStopIds.filter(stopId => stopId !== id);
+  saveRouteStops();
+  updateRoute();
+}
+
+/**
+ * Remove every stop
+ */
+function clearRoute() {
+  routeStopIds = [];
+  saveRouteStops();
+  updateRoute();
+}
+
+/**
+ * Persist the stop ids so the route survives a reload
+ */
+function saveRouteStops() {
+  localStorage.setItem('routeStops', JSON.stringify(routeStopIds));
+}
+
+/**
+ * Resolve the saved stop ids to loaded places with coordinates
+ * @returns {Array<Object>} Places in the order they were added
+ */
+function getRouteStops() {
+  const byId = new Map(allTraditions.map(tradition => [tradition.id, tradition]));
+  return routeStopIds
+    .map(id => byId.get(id))
+    .filter(stop => Array.isArray(stop?.coords) && stop.coords.length === 2);
+}
+
+/**
+ * Order the stops and measure every leg
+ * The first stop added stays the start; the rest are reordered unless the order is manual
+ * @param {Array<Object>} stops - Places in the order they were added
+ * @returns {Object} { stops, legs, total } with leg distances in km
+ */
+function planRoute(stops) {
+  const distances = buildDistanceMatrix(stops.map(stop => stop.coords));
+  let order = [...stops.keys()];
+  
+  if (routeOptimisation !== 'manual' && stops.length > 2) {
+    order = nearestNeighbourOrder(distances);
+    if (routeOptimisation === '2opt') {
+      order = twoOptOrder(order, distances, routeRoundTrip);
+    }
+  }
+  
+  const legs = order.slice(1).map((stop, i) => distances[order[i]][stop]);
+  if (routeRoundTrip && order.length > 1) {
+    legs.push(distances[order[order.length - 1]][order[0]]);
+  }
+  
+  return {
+    stops: order.map(i => stops[i]),
+    legs,
+    total: legs.reduce((sum, leg) => sum + leg, 0)
+  };
+}
+
+/**
+ * Great-circle distance by the haversine formula
+ * @param {Array<number>} from - [lat, lng]
+ * @param {Array<number>} to - [lat, lng]
+ * @returns {number} Distance in km
+ */
+function haversineDistance([lat1, lng1], [lat2, lng2]) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * ROUTE_CONFIG.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Pairwise great-circle distances
+ * @param {Array<Array<number>>} points - [lat, lng] pairs
+ * @returns {Array<Array<number>>} Symmetric matrix in km
+ */
+function buildDistanceMatrix(points) {
+  return points.map(from => points.map(to => haversineDistance(from, to)));
+}
+
+/**
+ * Greedy tour from the first point, always visiting the closest unvisited point next
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @returns {Array<number>} Point indexes in visiting order
+ */
+function nearestNeighbourOrder(distances) {
+  const order = [0];
+  const remaining = new Set(distances.keys());
+  remaining.delete(0);
+  
+  while (remaining.size > 0) {
+    const last = order[order.length - 1];
+    let next = null;
+    remaining.forEach(i => {
+      if (next === null || distances[last][i] < distances[last][next]) next = i;
+    });
+    order.push(next);
+    remaining.delete(next);
+  }
+  
+  return order;
+}
+
+/**
+ * Improve a tour by reversing segments while that shortens it (2-opt), keeping the start fixed
+ * @param {Array<number>} order - Starting tour
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @param {boolean} roundTrip - Whether the tour returns to the start
+ * @returns {Array<number>} Improved tour
+ */
+function twoOptOrder(order, distances, roundTrip) {
+  const route = [...order];
+  const n = route.length;
+  
+  for (let pass = 0; pass < ROUTE_CONFIG.TWO_OPT_MAX_PASSES; pass++) {
+    let improved = false;
     
-    const contributionData = {
-      saint: formData.get('saint'),
-      tradition: formData.get('tradition'),
-      startYear : formData.get('startYear'),
-      endYear: formData.get('endYear'),
-      period : formData.get('period'),
-      traditionType: formData.get('traditionType'),
-      gender: formData.get('gender'),
-      language: formData.get('language'),
-      school: formData.get('school'),
-      presidingDeity: formData.get('presidingDeity'),
-      sufi: formData.has('sufi'),
-      texts: formData.get('texts')?.split(',').map(t => t.trim()).filter(Boolean) || [],
-      philosophy: formData.get('philosophy'),
-      birthPlace: formData.get("birthPlace") || "",
-      deathPlace: formData.get("deathPlace") || "",
-      places: {
-        birth: processPlaceInput(formData.get('birthPlace')),
-        death: processPlaceInput(formData.get('deathPlace')),
-      },
-      relatedSaints : {
-        id : formData.get('RelatedSaintName'),
-        type : formData.get('typeOfRelation')
+    for (let i = 1; i < n - 1; i++) {
+      for (let k = i + 1; k < n; k++) {
+        const before = route[i - 1];
+        const after = k + 1 < n ? route[k + 1] : (roundTrip ? route[0] : null);
+        const current = distances[before][route[i]] + (after === null ? 0 : distances[route[k]][after]);
+        const swapped = distances[before][route[k]] + (after === null ? 0 : distances[route[i]][after]);
+        
+        if (swapped < current - 1e-9) {
+          route.splice(i, k - i + 1, ...route.slice(i, k + 1).reverse());
+          improved = true;
+        }
       }
-    };
+    }
     
-    const response = await fetch(`${API_BASE}/contribute`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(contributionData)
-    });
+    if (!improved) break;
+  }
+  
+  return route;
+}
+
+/**
+ * Re-plan the route and redraw the line and itinerary
+ */
+function updateRoute() {
+  if (!routeEnabled || !map) return;
+  
+  const plan = planRoute(getRouteStops());
+  drawRoute(plan);
+  renderRouteItinerary(plan);
+}
+
+/**
+ * Draw the route polyline and numbered stops
+ * @param {Object} plan - Result of planRoute
+ */
+function drawRoute(plan) {
+  if (!routeLayer) {
+    routeLayer = L.layerGroup().addTo(map);
+  }
+  routeLayer.clearLayers();
+  if (plan.stops.length === 0) return;
+  
+  const path = plan.stops.map(stop => stop.coords);
+  if (routeRoundTrip && path.length > 1) path.push(path[0]);
+  
+  L.polyline(path, {
+    color: ROUTE_CONFIG.LINE_COLOR,
+    weight: ROUTE_CONFIG.LINE_WEIGHT,
+    opacity: 0.85
+  }).addTo(routeLayer);
+  
+  plan.stops.forEach((stop, index) => {
+    L.marker(stop.coords, {
+      icon: L.divIcon({
+        className: 'route-stop-marker',
+        html: `${index + 1}`,
+        iconSize: [24, 24]
+      }),
+      zIndexOffset: 1000
+    })
+      .bindTooltip(`${index + 1}. ${escapeHtml(stop.name)}`)
+      .on('click', () => flyToMarkers([stop.id]))
+      .addTo(routeLayer);
+  });
+}
+
+/**
+ * List the ordered stops with leg and total distances
+ * @param {Object} plan - Result of planRoute
+ */
+function renderRouteItinerary(plan) {
+  const list = document.getElementById('route-stops');
+  const summary = document.getElementById('route-summary');
+  if (!list || !summary) return;
+  
+  const count = plan.stops.length;
+  summary.textContent = count === 0
+    ? 'No stops yet.'
+    : `${count} stop${count !== 1 ? 's' : ''} · ${formatDistance(plan.total)}${routeRoundTrip ? ' round trip' : ''}`;
+  
+  list.innerHTML = plan.stops.map((stop, index) => `
+    <li class="route-stop">
+      <span class="route-stop-number">${index + 1}</span>
+      <div class="route-stop-info" data-route-stop="${escapeHtml(stop.id)}">
+        <strong>${escapeHtml(stop.name)}</strong>
+        <span class="route-stop-meta">${escapeHtml(stop.saint || 'Unknown')} · ${config.formatPlaceType(stop.type)}</span>
+        ${index > 0 ? `<span class="route-stop-meta">${formatDistance(plan.legs[index - 1])} from stop ${index}</span>` : ''}
+      </div>
+      <button type="button" class="route-stop-remove" data-route-remove="${escapeHtml(stop.id)}" title="Remove stop">
+        <span class="material-icons">close</span>
+      </button>
+    </li>
+  `).join('');
+  
+  document.getElementById('route-export-gpx').disabled = count === 0;
+}
+
+/**
+ * Format a distance for the itinerary
+ * @param {number} km - Distance in km
+ * @returns {string} e.g. "8.4 km" or "1,204 km"
+ */
+function formatDistance(km) {
+  return `${km < 10 ? km.toFixed(1) : formatNumber(Math.round(km))} km`;
+}
+
+/**
+ * Download the planned route as GPX, built in the browser from the stored coordinates
+ */
+function exportRouteGpx() {
+  const plan = planRoute(getRouteStops());
+  if (plan.stops.length === 0) {
+    showToast('Add some stops first', 'warning');
+    return;
+  }
+  
+  const blob = new Blob([buildRouteGpx(plan)], { type: 'application/gpx+xml' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = ROUTE_CONFIG.GPX_FILENAME;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  
+  showToast(`Exporting ${plan.stops.length} stops as GPX`, 'info');
+}
+
+/**
+ * GPX 1.1 document with a waypoint per stop and the route in visiting order
+ * @param {Object} plan - Result of planRoute
+ * @returns {string} GPX XML
+ */
+function buildRouteGpx(plan) {
+  const point = (tag, stop, indent) => [
+    `${indent}<${tag} lat="${stop.coords[0]}" lon="${stop.coords[1]}">`,
+    `${indent}  <name>${escapeHtml(stop.name)}</name>`,
+    `${indent}  <desc>${escapeHtml(`${stop.saint || 'Unknown'} - ${config.formatPlaceType(stop.type)}`)}</desc>`,
+    `${indent}</${tag}>`
+  ].join('\n');
+  
+  const routePoints = routeRoundTrip && plan.stops.length > 1 ? [...plan.stops, plan.stops[0]] : plan.stops;
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Bhakti Tradition Map" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    '    <name>Pilgrimage route</name>',
+    `    <desc>${plan.stops.length} stops, ${formatDistance(plan.total)}</desc>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    ...plan.stops.map(stop => point('wpt', stop, '  ')),
+    '  <rte>',
+    '    <name>Pilgrimage route</name>',
+    ...routePoints.map(stop => point('rtept', stop, '    ')),
+    '  </rte>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+// ========================================
+// VIRTUAL TOURS
+// ========================================
+
+/**
+ * Open the tour list
+ */
+function openToursModal() {
+  const modal = document.getElementById('tours-modal');
+  if (!modal) return;
+  
+  modal.style.display = 'block';
+  document.body.style.overflow = 'hidden';
+  loadTours();
+}
+
+/**
+ * Close the tour list
+ */
+function closeToursModal() {
+  const modal = document.getElementById('tours-modal');
+  if (!modal || modal.style.display !== 'block') return;
+  
+  modal.style.display = 'none';
+  document.body.style.overflow = '';
+}
+
+/**
+ * Fetch tour summaries and list them with a start button each
+ */
+async function loadTours() {
+  const list = document.getElementById('tour-list');
+  if (!list) return;
+  
+  list.innerHTML = '<li class="profile-empty">Loading tours...</li>';
+  
+  try {
+    const response = await fetch(`${API_BASE}/tours`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const tours = await response.json();
     
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error || `HTTP ${response.status}`);
+    if (tours.length === 0) {
+      list.innerHTML = '<li class="profile-empty">No tours have been published yet.</li>';
+      return;
     }
     
-    const result = await response.json();
-    
-    hideLoadingOverlay();
-    closeContributionModal();
+    list.innerHTML = tours.map(tour => `
+      <li class="tour-list-item">
+        <div>
+          <h3>${escapeHtml(tour.title)}</h3>
+          ${tour.description ? `<p>${escapeHtml(tour.description)}</p>` : ''}
+          <span class="profile-muted">${tour.stepCount} step${tour.stepCount !== 1 ? 's' : ''}${tour.createdBy ? ` · by ${escapeHtml(tour.createdBy)}` : ''}</span>
+        </div>
+        <button class="btn-primary" data-tour-start="${escapeHtml(tour.id)}">
+          <span class="material-icons">play_arrow</span>
+          Start
+        </button>
+      </li>
+    `).join('');
+  } catch (error) {
+    console.error('❌ Failed to load tours:', error);
+    list.innerHTML = '<li class="profile-empty">Tours could not be loaded.</li>';
+  }
+}
+
+/**
+ * Load a tour and show its first step in the player
+ * @param {string} id - Tour id
+ */
+async function startTour(id) {
+  try {
+    const response = await fetch(`${API_BASE}/tours/${encodeURIComponent(id)}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    const tour = await response.json();
     
-    showToast(result.message || 'Contribution submitted successfully!', 'success');
+    closeToursModal();
+    stopTourPlayback();
+    tourPlayer.tour = tour;
     
-    // Reload data to include new contribution
-    await loadInitialData();
+    document.getElementById('tour-player-title').textContent = tour.title;
+    document.getElementById('tour-player')?.classList.remove('hidden');
+    showTourStep(0);
     
+    console.log(`🧭 Started tour: ${tour.title}`);
   } catch (error) {
-    console.error('❌ Failed to submit contribution:', error);
-    hideLoadingOverlay();
-    showToast(error.message || 'Failed to submit contribution', 'error');
+    console.error('❌ Failed to start tour:', error);
+    showToast('Failed to load the tour', 'error');
   }
 }
 
 /**
- * Process single place input
- * @param {string} input - Place input string
- * @returns {Object|null} Processed place object
+ * Close the player and stop any narration
  */
-function processPlaceInput(input) {
-  if (!input || !input.trim()) return null;
+function endTour() {
+  stopTourPlayback();
+  tourPlayer.tour = null;
+  document.getElementById('tour-player')?.classList.add('hidden');
+  document.getElementById('tour-step').innerHTML = '';
+}
+
+/**
+ * Show a step: render it, fly the map there and, in autoplay, queue the next one
+ * @param {number} index - Step index, clamped to the tour
+ */
+function showTourStep(index) {
+  const { tour } = tourPlayer;
+  if (!tour) return;
   
-  return {
-    name: input.trim(),
-    coords: null,
-    region: null
-  };
+  clearTimeout(tourPlayer.timer);
+  tourPlayer.index = Math.min(Math.max(index, 0), tour.steps.length - 1);
+  const step = tour.steps[tourPlayer.index];
+  
+  renderTourStep(step);
+  flyToTourStep(step);
+  
+  if (tourPlayer.playing) {
+    scheduleTourAdvance(step);
+  }
 }
 
-// ========================================
-// PLACE SUGGESTIONS SYSTEM
-// ========================================
+/**
+ * Render the step text, image, narration and progress
+ * @param {Object} step - Tour step
+ */
+function renderTourStep(step) {
+  const { tour, index } = tourPlayer;
+  const total = tour.steps.length;
+  const showAudio = FEATURES.EXPERIMENTAL.AUDIO_GUIDES && step.audio;
+  
+  document.getElementById('tour-player-count').textContent = `Step ${index + 1} of ${total}`;
+  document.getElementById('tour-progress-bar').style.width = `${((index + 1) / total) * 100}%`;
+  document.getElementById('tour-prev').disabled = index === 0;
+  document.getElementById('tour-next').disabled = index === total - 1;
+  
+  document.getElementById('tour-step').innerHTML = `
+    ${step.title ? `<h5>${escapeHtml(step.title)}</h5>` : ''}
+    ${step.image ? `
+    <figure class="tour-step-image">
+      <img src="${escapeHtml(step.image)}" alt="${escapeHtml(step.imageCaption || step.title || '')}" loading="lazy">
+      ${step.imageCaption ? `<figcaption>${escapeHtml(step.imageCaption)}</figcaption>` : ''}
+    </figure>
+    ` : ''}
+    <p class="tour-step-text">${escapeHtml(step.text)}</p>
+    ${showAudio ? `<audio class="tour-step-audio" id="tour-audio" controls preload="metadata" src="${escapeHtml(step.audio)}"></audio>` : ''}
+  `;
+}
 
 /**
- * Setup place suggestion functionality
+ * Move the map to a step: its own view if it has one, otherwise its place or the saint's places
+ * @param {Object} step - Tour step
  */
-function setupPlaceSuggestions() {
-  const suggestionInputs = [
-    'birth-place','death-place'
-  ];
+function flyToTourStep(step) {
+  if (step.view) {
+    map.flyTo(step.view.center, step.view.zoom, { duration: TOUR_CONFIG.FLY_DURATION });
+  } else if (step.marker) {
+    flyToMarkers([step.marker]);
+  } else if (step.saint) {
+    flyToSaint(step.saint);
+  }
+}
+
+/**
+ * Start or pause autoplay
+ */
+function toggleTourAutoplay() {
+  if (!tourPlayer.tour) return;
   
-  suggestionInputs.forEach(inputId => {
-    const input = document.getElementById(inputId);
-    if (input) {
-      setupSinglePlaceSuggestion(input);
+  if (tourPlayer.playing) {
+    stopTourPlayback();
+    return;
+  }
+  
+  tourPlayer.playing = true;
+  updateTourPlayButton();
+  
+  // Playing from the last step starts the tour over
+  const atEnd = tourPlayer.index === tourPlayer.tour.steps.length - 1;
+  showTourStep(atEnd ? 0 : tourPlayer.index);
+}
+
+/**
+ * Stop autoplay and narration, leaving the current step shown
+ */
+function stopTourPlayback() {
+  clearTimeout(tourPlayer.timer);
+  tourPlayer.timer = null;
+  tourPlayer.playing = false;
+  document.getElementById('tour-audio')?.pause();
+  updateTourPlayButton();
+}
+
+/**
+ * Advance when the narration ends, or after the step's duration when it has none
+ * @param {Object} step - Current step
+ */
+function scheduleTourAdvance(step) {
+  const isLast = tourPlayer.index === tourPlayer.tour.steps.length - 1;
+  const advance = () => {
+    if (!tourPlayer.playing) return;
+    if (isLast) {
+      stopTourPlayback();
+    } else {
+      showTourStep(tourPlayer.index + 1);
     }
-  });
+  };
+  
+  const audio = document.getElementById('tour-audio');
+  if (audio) {
+    audio.addEventListener('ended', advance, { once: true });
+    audio.play().catch(() => {
+      // Narration could not start (blocked or missing), so fall back to the timer
+      tourPlayer.timer = setTimeout(advance, (step.duration || TOUR_CONFIG.DEFAULT_STEP_DURATION) * 1000);
+    });
+  } else {
+    tourPlayer.timer = setTimeout(advance, (step.duration || TOUR_CONFIG.DEFAULT_STEP_DURATION) * 1000);
+  }
+}
+
+/**
+ * Swap the play button icon to match autoplay
+ */
+function updateTourPlayButton() {
+  const button = document.getElementById('tour-play');
+  if (!button) return;
+  button.querySelector('.material-icons').textContent = tourPlayer.playing ? 'pause' : 'play_arrow';
+  button.title = tourPlayer.playing ? 'Pause' : 'Play the tour';
 }
 
+// ========================================
+// SAINT PROFILE
+// ========================================
+
+const PROFILE_PATH = /^\/saint\/([^/]+)\/?$/;
+const APP_TITLE = 'Bhakti Tradition Map - Sacred Places & Saints of India';
+
 /**
- * Setup place suggestion for a single input
- * @param {HTMLElement} input - Input element
+ * Open or close the profile to match the address bar (deep links and back/forward)
  */
-function setupSinglePlaceSuggestion(input) {
-  const container = input.parentElement;
-  const suggestionsId = input.id + '-suggestions';
-  let suggestionsList = document.getElementById(suggestionsId);
-  
-  if (!suggestionsList) {
-    suggestionsList = document.createElement('ul');
-    suggestionsList.id = suggestionsId;
-    suggestionsList.className = 'place-suggestions';
-    container.appendChild(suggestionsList);
+function openProfileFromLocation() {
+  const match = window.location.pathname.match(PROFILE_PATH);
+  if (match) {
+    openProfile(decodeURIComponent(match[1]), { push: false });
+  } else {
+    hideProfile();
   }
+}
+
+/**
+ * Show a saint's profile and move the address bar to its /saint/:slug URL
+ * @param {string} slugOrId - Profile slug or saint record id
+ * @param {Object} options - push: false when the URL is already the profile's
+ */
+async function openProfile(slugOrId, { push = true } = {}) {
+  const modal = document.getElementById('profile-modal');
+  const details = document.getElementById('profile-details');
+  if (!modal || !details) return;
   
-  let currentSelection = -1;
+  const requestId = ++profileRequest;
+  modal.style.display = 'block';
+  document.body.style.overflow = 'hidden';
+  details.innerHTML = '<p class="profile-empty">Loading profile...</p>';
   
-  input.addEventListener('input', (e) => {
-    const query = e.target.value.trim();
-    
-    if (query.length < 3) {
-      hideSuggestions(suggestionsList);
+  try {
+    const response = await fetch(`${API_BASE}/saints/profile/${encodeURIComponent(slugOrId)}`);
+    if (response.status === 404) {
+      if (requestId !== profileRequest) return;
+      currentProfile = null;
+      document.getElementById('profile-title').textContent = 'Saint not found';
+      details.innerHTML = '<p class="profile-empty">No saint matches this link. It may have been renamed or removed.</p>';
+      profileMarkers?.clearLayers();
       return;
     }
+    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     
-    // Clear existing timeout
-    if (suggestionTimeouts.has(input.id)) {
-      clearTimeout(suggestionTimeouts.get(input.id));
-    }
-    
-    // Set new timeout for debouncing
-    const timeout = setTimeout(() => {
-      fetchPlaceSuggestions(query, suggestionsList, input);
-    }, UI_CONFIG.SEARCH_DEBOUNCE);
-    
-    suggestionTimeouts.set(input.id, timeout);
-  });
-  
-  input.addEventListener('keydown', (e) => {
-    const items = suggestionsList.querySelectorAll('.suggestion-item');
+    const profile = await response.json();
+    if (requestId !== profileRequest) return;
     
-    switch (e.key) {
-      case 'ArrowDown':
-        e.preventDefault();
-        currentSelection = Math.min(currentSelection + 1, items.length - 1);
-        updateSuggestionSelection(items, currentSelection);
-        break;
-      
-      case 'ArrowUp':
-        e.preventDefault();
-        currentSelection = Math.max(currentSelection - 1, -1);
-        updateSuggestionSelection(items, currentSelection);
-        break;
-      
-      case 'Enter':
-        e.preventDefault();
-        if (currentSelection >= 0 && items[currentSelection]) {
-          selectSuggestion(items[currentSelection], input, suggestionsList);
-        }
-        break;
-      
-      case 'Escape':
-        hideSuggestions(suggestionsList);
-        currentSelection = -1;
-        break;
+    currentProfile = profile;
+    // Links by id or alias settle on the canonical slug
+    if (push && window.location.pathname !== profile.url) {
+      history.pushState({ profile: profile.slug }, '', profile.url);
+    } else if (window.location.pathname !== profile.url) {
+      history.replaceState({ profile: profile.slug }, '', profile.url);
     }
-  });
-  
-  input.addEventListener('blur', () => {
-    // Delay hiding to allow clicking on suggestions
-    setTimeout(() => {
-      hideSuggestions(suggestionsList);
-      currentSelection = -1;
-    }, 150);
-  });
+    document.title = `${profile.saint} - Bhakti Tradition Map`;
+    
+    renderProfile(profile);
+    renderProfileMap(profile);
+    console.log(`👤 Opened profile: ${profile.saint}`);
+  } catch (error) {
+    console.error('❌ Failed to load profile:', error);
+    details.innerHTML = '<p class="profile-empty">The profile could not be loaded.</p>';
+    showToast('Failed to load saint profile', 'error');
+  }
 }
 
 /**
- * Fetch place suggestions from API
- * @param {string} query - Search query
- * @param {HTMLElement} suggestionsList - Suggestions list element
- * @param {HTMLElement} input - Input element
+ * Close the profile and return the address bar to the map view
  */
-async function fetchPlaceSuggestions(query, suggestionsList, input) {
-  try {
-    const response = await fetch(`${API_BASE}/suggest-places/${encodeURIComponent(query)}`);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-    
-    const suggestions = await response.json();
-    displaySuggestions(suggestions, suggestionsList, input);
-  } catch (error) {
-    console.error('❌ Failed to fetch place suggestions:', error);
-    hideSuggestions(suggestionsList);
+function closeProfile() {
+  if (!hideProfile()) return;
+  if (PROFILE_PATH.test(window.location.pathname)) {
+    history.pushState({ view: true }, '', buildViewUrl());
   }
 }
 
 /**
- * Display place suggestions
- * @param {Array} suggestions - Array of suggestion objects
- * @param {HTMLElement} suggestionsList - Suggestions list element
- * @param {HTMLElement} input - Input element
+ * Hide the profile modal without touching history
+ * @returns {boolean} Whether the profile was open
  */
-function displaySuggestions(suggestions, suggestionsList, input) {
-  suggestionsList.innerHTML = '';
-  
-  if (suggestions.length === 0) {
-    hideSuggestions(suggestionsList);
-    return;
-  }
-  
-  suggestions.slice(0, 5).forEach((suggestion, index) => {
-    const item = document.createElement('li');
-    item.className = 'suggestion-item';
-    item.textContent = suggestion.fullName || suggestion.name;
-    item.dataset.value = suggestion.name;
-    
-    item.addEventListener('click', () => {
-      selectSuggestion(item, input, suggestionsList);
-    });
-    
-    suggestionsList.appendChild(item);
-  });
-  
-  showSuggestions(suggestionsList);
+function hideProfile() {
+  const modal = document.getElementById('profile-modal');
+  if (!modal || modal.style.display !== 'block') return false;
+  
+  profileRequest++;
+  modal.style.display = 'none';
+  document.body.style.overflow = '';
+  document.title = APP_TITLE;
+  currentProfile = null;
+  return true;
 }
 
 /**
- * Select a place suggestion
- * @param {HTMLElement} item - Selected suggestion item
- * @param {HTMLElement} input - Input element
- * @param {HTMLElement} suggestionsList - Suggestions list element
+ * Close the profile and fly the main map to the saint's places
  */
-function selectSuggestion(item, input, suggestionsList) {
-  input.value = item.dataset.value;
-  hideSuggestions(suggestionsList);
-  input.focus();
+function showProfileOnMap() {
+  if (!currentProfile) return;
+  const { id } = currentProfile;
+  closeProfile();
+  flyToSaint(id);
 }
 
 /**
- * Update suggestion selection highlighting
- * @param {NodeList} items - Suggestion items
- * @param {number} selectedIndex - Index of selected item
+ * Copy the profile's shareable URL to the clipboard
  */
-function updateSuggestionSelection(items, selectedIndex) {
-  items.forEach((item, index) => {
-    if (index === selectedIndex) {
-      item.classList.add('highlighted');
-    } else {
-      item.classList.remove('highlighted');
-    }
-  });
+async function copyProfileLink() {
+  if (!currentProfile) return;
+  try {
+    await navigator.clipboard.writeText(`${window.location.origin}${currentProfile.url}`);
+    showToast('Profile link copied', 'success');
+  } catch (error) {
+    console.error('❌ Failed to copy profile link:', error);
+    showToast('Could not copy the link', 'error');
+  }
 }
 
 /**
- * Show suggestions list
- * @param {HTMLElement} suggestionsList - Suggestions list element
+ * Render the profile details beside the mini map
+ * @param {Object} profile - /api/saints/profile response
  */
-function showSuggestions(suggestionsList) {
-  suggestionsList.classList.add('show');
-  suggestionsList.style.display = 'block';
+function renderProfile(profile) {
+  document.getElementById('profile-title').textContent = profile.saint;
+  
+  const years = profile.startYear
+    ? `${profile.startYear}${profile.endYear ? ' - ' + profile.endYear : ''}`
+    : profile.dates;
+  const facts = [
+    ['Tradition', profile.tradition],
+    ['School', profile.school],
+    ['Type', profile.traditionType],
+    ['Period', [years, profile.period].filter(Boolean).join(', ')],
+    ['Gender', profile.gender],
+    ['Language', profile.language],
+    ['Presiding Deity', profile.presidingDeity],
+    ['Birth Place', profile.birthPlace],
+    ['Death Place', profile.deathPlace]
+  ].filter(([, value]) => value);
+  
+  const section = (icon, title, body) => `
+    <section class="profile-section">
+      <h3><span class="material-icons">${icon}</span>${title}</h3>
+      ${body}
+    </section>
+  `;
+  
+  const html = [];
+  
+  html.push(`
+    <dl class="profile-facts">
+      ${facts.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+    </dl>
+  `);
+  
+  if (profile.philosophy) {
+    html.push(`
+      <div class="popup-philosophy">
+        <strong>Philosophy & Teachings:</strong>
+        <p>${escapeHtml(profile.philosophy)}</p>
+      </div>
+    `);
+  }
+  
+  if (profile.places.length > 0) {
+    html.push(section('place', `Places (${profile.places.length})`, `
+      <ul class="profile-list">
+        ${profile.places.map(place => `
+          <li>
+            <span class="profile-place-dot" style="background: ${config.getMarkerColor(place.type)}"></span>
+            ${escapeHtml(place.name)}
+            <span class="profile-muted">${config.formatPlaceType(place.type)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `));
+  }
+  
+  if (profile.texts.length > 0) {
+    html.push(section('menu_book', 'Texts', `
+      <div class="profile-chips">
+        ${profile.texts.map(text => `<span class="profile-chip">${escapeHtml(text)}</span>`).join('')}
+      </div>
+    `));
+  }
+  
+  if (profile.related.length > 0) {
+    html.push(section('account_tree', 'Related Saints', `
+      <ul class="profile-list">
+        ${profile.related.map(related => `
+          <li>
+            <a href="/saint/${encodeURIComponent(related.slug)}" data-profile-link="${escapeHtml(related.slug)}">${escapeHtml(related.saint)}</a>
+            <span class="profile-muted">${escapeHtml(related.role)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `));
+  }
+  
+  if (profile.sources.length > 0) {
+    html.push(section('library_books', 'Sources', `
+      <ol class="profile-sources">
+        ${profile.sources.map(source => /^https?:\/\//i.test(source)
+          ? `<li><a href="${escapeHtml(source)}" target="_blank" rel="noopener noreferrer">${escapeHtml(source)}</a></li>`
+          : `<li>${escapeHtml(source)}</li>`
+        ).join('')}
+      </ol>
+    `));
+  }
+  
+  if (profile.history.length > 0) {
+    html.push(section('history', 'Edit History', `
+      <ul class="profile-history">
+        ${profile.history.map(entry => `
+          <li>
+            <strong>v${entry.version}</strong> ${escapeHtml(entry.action)}
+            <span class="profile-muted">${new Date(entry.changedAt).toLocaleDateString()}</span>
+            ${entry.fields.length > 0 ? `<div class="profile-muted">${entry.fields.map(escapeHtml).join(', ')}</div>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    `));
+  } else if (profile.contributedAt) {
+    html.push(section('history', 'Edit History', `
+      <p class="profile-muted">Contributed ${new Date(profile.contributedAt).toLocaleDateString()}, no edits since.</p>
+    `));
+  }
+  
+  document.getElementById('profile-details').innerHTML = html.join('');
 }
 
 /**
- * Hide suggestions list
- * @param {HTMLElement} suggestionsList - Suggestions list element
+ * Plot every place of the profile on the mini map
+ * @param {Object} profile - /api/saints/profile response
  */
-function hideSuggestions(suggestionsList) {
-  suggestionsList.classList.remove('show');
-  suggestionsList.style.display = 'none';
+function renderProfileMap(profile) {
+  if (!profileMap) {
+    profileMap = L.map('profile-map', { scrollWheelZoom: false, attributionControl: false });
+    L.tileLayer(`https://cartodb-basemaps-{s}.global.ssl.fastly.net/${isDarkMode ? 'dark' : 'light'}_all/{z}/{x}/{y}.png`, {
+      maxZoom: 18,
+      subdomains: ['a', 'b', 'c']
+    }).addTo(profileMap);
+    profileMarkers = L.featureGroup().addTo(profileMap);
+  }
+  
+  // The modal was hidden when the map last measured its container
+  profileMap.invalidateSize();
+  profileMarkers.clearLayers();
+  
+  profile.places
+    .filter(place => Array.isArray(place.coords))
+    .forEach(place => {
+      L.circleMarker(place.coords, {
+        radius: 8,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: config.getMarkerColor(place.type),
+        fillOpacity: 0.9
+      })
+        .bindTooltip(`${escapeHtml(place.name)} (${config.formatPlaceType(place.type)})`)
+        .addTo(profileMarkers);
+    });
+  
+  if (profileMarkers.getLayers().length > 0) {
+    profileMap.fitBounds(profileMarkers.getBounds(), { padding: [30, 30], maxZoom: 8 });
+  } else {
+    profileMap.setView(MAP_CONFIG.DEFAULT_CENTER, MAP_CONFIG.DEFAULT_ZOOM);
+  }
 }
 
 // ========================================
-// STATISTICS AND UI UPDATES
+// URL VIEW STATE
 // ========================================
 
 /**
- * Update header statistics
+ * View parameters kept in the URL next to the /api/traditions filter parameters
+ * at: "lat,lng,zoom"  timeline: "start,end"  place: marker id of the open popup
  */
-function updateStatistics() {
-  const totalPlaces = document.getElementById('total-places');
-  const totalSaints = document.getElementById('total-saints');
-  const totalTraditions = document.getElementById('total-traditions');
+const VIEW_PARAMS = ['at', 'timeline', 'place'];
+
+/**
+ * Write map moves and popup changes to the address bar once they settle
+ */
+const scheduleViewUrlUpdate = debounce(() => updateViewUrl(), UI_CONFIG.VIEW_URL_DEBOUNCE);
+
+/**
+ * Encode the current filters, map position, timeline window and open popup as a URL
+ * @returns {string} Path and query for the current view
+ */
+function buildViewUrl() {
+  const params = buildFilterParams();
   
-  if (totalPlaces) {
-    totalPlaces.textContent = allTraditions.length;
+  if (map) {
+    const precision = UI_CONFIG.VIEW_URL_PRECISION;
+    const { lat, lng } = map.getCenter();
+    const at = [lat.toFixed(precision), lng.toFixed(precision), map.getZoom()].join(',');
+    const [defaultLat, defaultLng] = MAP_CONFIG.DEFAULT_CENTER;
+    const defaultAt = [defaultLat.toFixed(precision), defaultLng.toFixed(precision), MAP_CONFIG.DEFAULT_ZOOM].join(',');
+    if (at !== defaultAt) params.set('at', at);
   }
   
-  if (totalSaints) {
-    const uniqueSaints = new Set(allTraditions.map(t => t.saint).filter(Boolean));
-    totalSaints.textContent = uniqueSaints.size;
+  if (timeline.active) {
+    params.set('timeline', `${Math.round(timeline.start)},${Math.round(timeline.end)}`);
   }
   
-  if (totalTraditions) {
-    const uniqueTraditions = new Set(allTraditions.map(t => t.tradition).filter(Boolean));
-    totalTraditions.textContent = uniqueTraditions.size;
+  if (openPlaceId) {
+    params.set('place', openPlaceId);
   }
+  
+  const query = params.toString();
+  return query ? `/?${query}` : '/';
 }
 
 /**
- * Update legend counts
+ * Record the current view in the address bar
+ * Filter changes push a history entry; map moves and restores replace the current one
+ * @param {Object} options - push: true to add a history entry
  */
-function updateLegendCounts() {
-  // Count places by type
-  const counts = {
-    birth: 0
-  };
+function updateViewUrl({ push = false } = {}) {
+  // The profile owns the address bar while it is open
+  if (PROFILE_PATH.test(window.location.pathname)) return;
   
-  filteredTraditions.forEach(tradition => {
-    if (tradition.type && counts.hasOwnProperty(tradition.type)) {
-      counts[tradition.type]++;
+  const url = buildViewUrl();
+  if (url === `${window.location.pathname}${window.location.search}`) return;
+  
+  if (push && !isRestoringView) {
+    history.pushState({ view: true }, '', url);
+  } else {
+    history.replaceState({ view: true }, '', url);
+  }
+}
+
+/**
+ * Restore filters, map position, timeline window and open popup from the URL
+ * Filters are only reloaded when they differ from the ones applied
+ */
+async function restoreViewState() {
+  const params = new URLSearchParams(window.location.search);
+  const filterParams = new URLSearchParams(
+    [...params].filter(([key]) => !VIEW_PARAMS.includes(key))
+  );
+  
+  isRestoringView = true;
+  try {
+    restoreMapView(params.get('at'));
+    
+    if (filterParams.toString() !== buildFilterParams().toString()) {
+      applyFilterParams(filterParams);
+      if (filterParams.toString()) {
+        await applyCurrentFilters();
+      } else {
+        showAllTraditions();
+      }
+    }
+    
+    restoreTimelineWindow(params.get('timeline'));
+    restorePopup(params.get('place'));
+  } finally {
+    isRestoringView = false;
+  }
+}
+
+/**
+ * Fill the filter form, facet chips and quick filter from URL parameters
+ * @param {URLSearchParams} params - Filter parameters
+ */
+function applyFilterParams(params) {
+  resetFilterState();
+  
+  const facetParams = Object.values(FACET_SELECTS);
+  params.forEach((value, key) => {
+    if (facetParams.includes(key)) {
+      const exclude = value.startsWith('!');
+      const raw = exclude ? value.slice(1) : value;
+      const selection = facetSelections[key] || { values: [], mode: 'any' };
+      selection.values.push({ value: raw, label: key === 'century' ? formatCentury(Number(raw)) : raw, exclude });
+      facetSelections[key] = selection;
+    } else if (key.endsWith('Mode') && facetParams.includes(key.slice(0, -4))) {
+      const param = key.slice(0, -4);
+      facetSelections[param] = { values: [], ...facetSelections[param], mode: value === 'all' ? 'all' : 'any' };
+    } else if (key === 'placeType') {
+      // Restored as the quick filter, which applies when the panel has no place type
+      selectedPlaceType = value;
+      updateQuickFilterUI(value);
+    } else if (FILTER_INPUTS[key]) {
+      const input = document.getElementById(FILTER_INPUTS[key]);
+      if (input) input.value = value;
     }
   });
   
-  // Update UI
-  Object.entries(counts).forEach(([type, count]) => {
-    const countElement = document.getElementById(`${type}-count`);
-    if (countElement) {
-      countElement.textContent = count;
+  facetParams.forEach(renderFacetChips);
+  updateCurrentFilters();
+}
+
+/**
+ * Move the map to an "lat,lng,zoom" position, or the default view
+ * @param {string|null} value - The "at" parameter
+ */
+function restoreMapView(value) {
+  const [lat, lng, zoom] = (value || '').split(',').map(Number);
+  if (value && [lat, lng, zoom].every(Number.isFinite)) {
+    map.setView([lat, lng], zoom);
+  } else {
+    map.setView(MAP_CONFIG.DEFAULT_CENTER, MAP_CONFIG.DEFAULT_ZOOM);
+  }
+}
+
+/**
+ * Set the timeline window from a "start,end" parameter, or turn the timeline off
+ * @param {string|null} value - The "timeline" parameter
+ */
+function restoreTimelineWindow(value) {
+  const [start, end] = (value || '').split(',').map(Number);
+  if (value && Number.isFinite(start) && Number.isFinite(end)) {
+    if (!timeline.active || Math.round(timeline.start) !== start || Math.round(timeline.end) !== end) {
+      pauseTimeline();
+      setTimelineWindow(start, end);
     }
-  });
+  } else if (timeline.active) {
+    resetTimeline();
+  }
+}
+
+/**
+ * Open the popup of a marker id, or close the open one
+ * @param {string|null} placeId - The "place" parameter
+ */
+function restorePopup(placeId) {
+  if (placeId === openPlaceId) return;
   
-  placeTypeCounts = counts;
+  const layer = placeId && markerLayers.get(placeId);
+  if (layer) {
+    clusterGroup.zoomToShowLayer(layer, () => layer.openPopup());
+  } else {
+    map.closePopup();
+  }
 }
 
 // ========================================
@@ -1768,6 +4878,19 @@ function showToast(message, type = 'info') {
 // UTILITY FUNCTIONS
 // ========================================
 
+/**
+ * Escape text for insertion as HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Debounce function execution
  * @param {Function} func - Function to debounce
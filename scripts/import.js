@@ -0,0 +1,94 @@
+/**
+ * BHAKTI TRADITION MAP - BULK IMPORT CLI
+ * 
+ * Imports saints from CSV, JSON or GeoJSON files straight into MongoDB,
+ * using the same validation, duplicate detection and geocoding as /api/import.
+ * 
+ * Usage:
+ *   npm run import -- <file> [--format csv|json|geojson] [--dry-run] [--editor name]
+ * 
+ * Exits with code 1 when any row is invalid.
+ */
+
+import fs from 'fs';
+import {
+  DB_NAME,
+  COLLECTION,
+  REVISIONS_COLLECTION,
+  GEOCODE_CACHE_COLLECTION,
+  IMPORT_FORMATS,
+  createMongoClient,
+  geocodeCache,
+  parseImportData,
+  detectImportFormat,
+  importRecords
+} from '../server.js';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { file: null, format: null, dryRun: false, editor: 'import-cli' };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--format') options.format = String(argv[++i] || '').toLowerCase();
+    else if (arg === '--editor') options.editor = argv[++i] || options.editor;
+    else if (!options.file) options.file = arg;
+  }
+  
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  
+  if (!options.file) {
+    console.error('Usage: npm run import -- <file> [--format csv|json|geojson] [--dry-run] [--editor name]');
+    process.exit(1);
+  }
+  
+  const format = options.format || detectImportFormat(options.file);
+  if (!IMPORT_FORMATS.includes(format)) {
+    console.error(`❌ Unknown import format. Use --format with one of: ${IMPORT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  
+  const rows = parseImportData(fs.readFileSync(options.file, 'utf8'), format);
+  console.log(`📦 Read ${rows.length} rows from ${options.file} (${format})${options.dryRun ? ' - dry run' : ''}`);
+  
+  const client = createMongoClient();
+  await client.connect();
+  
+  try {
+    const db = client.db(DB_NAME);
+    geocodeCache.collection = db.collection(GEOCODE_CACHE_COLLECTION);
+    
+    const report = await importRecords(rows, {
+      traditionsCollection: db.collection(COLLECTION),
+      revisionsCollection: db.collection(REVISIONS_COLLECTION),
+      dryRun: options.dryRun,
+      editor: options.editor
+    });
+    
+    report.rows.forEach(row => {
+      const label = `  Row ${row.row}${row.saint ? ` (${row.saint})` : ''}`;
+      if (row.status === 'duplicate') console.log(`${label}: duplicate of ${row.duplicateOf}`);
+      else if (row.status === 'invalid') console.log(`${label}: ${row.errors.join('; ')}`);
+      else if (row.warnings?.length) console.log(`${label}: ⚠️ ${row.warnings.join('; ')}`);
+    });
+    
+    const verb = options.dryRun ? 'valid' : 'imported';
+    console.log(`✅ ${report.imported} ${verb}, ${report.duplicates} duplicates, ${report.invalid} invalid of ${report.total} rows`);
+    
+    process.exitCode = report.invalid > 0 ? 1 : 0;
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Import failed:', error);
+  process.exit(1);
+});
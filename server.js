@@ -4,13 +4,21 @@
  * This is the main server file that handles:
  * - Database connections to MongoDB
  * - RESTful API endpoints for traditions data
- * - Geocoding services for place names
+ * - Geocoding services for place names (cached, pluggable backends)
  * - Contribution system for new saint information
+ * - Bulk import of CSV/JSON/GeoJSON datasets (also via `npm run import`)
+ * - Export of the filtered view as GeoJSON, KML, CSV or BibTeX
+ * - Ranked full-text search with IAST/ASCII folding and typo tolerance
+ * - Moderation queue for reviewing contributions
+ * - Revision history with diffs and rollback
+ * - Typed saint-to-saint relationships for the lineage network
+ * - Alias registry of spelling variants for traditions, languages, saints and places
+ * - Tradition taxonomy (sampradaya -> sub-school -> lineage) for hierarchical filtering
  * - Filter options for frontend filtering
  * - Static file serving for frontend
  * 
  * Key Features:
- * - Auto-geocoding using Nominatim (OpenStreetMap)
+ * - Auto-geocoding from a local gazetteer, with optional throttled Nominatim
  * - Advanced filtering with MongoDB queries
  * - Intelligent language/tradition parsing
  * - Error handling and validation
@@ -21,7 +29,7 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import fetch from 'node-fetch';
-import { MongoClient } from 'mongodb';
+import { MongoClient, ObjectId } from 'mongodb';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
@@ -38,6 +46,24 @@ const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bhakti';
 const DB_NAME = process.env.DB_NAME || 'bhakti';
 const COLLECTION = process.env.COLLECTION || 'traditions';
+const PENDING_COLLECTION = process.env.PENDING_COLLECTION || 'contributions';
+const REVISIONS_COLLECTION = process.env.REVISIONS_COLLECTION || 'revisions';
+const RELATIONSHIPS_COLLECTION = process.env.RELATIONSHIPS_COLLECTION || 'relationships';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const GEOCODE_CACHE_COLLECTION = process.env.GEOCODE_CACHE_COLLECTION || 'geocode_cache';
+const ALIASES_COLLECTION = process.env.ALIASES_COLLECTION || 'aliases';
+const TOURS_COLLECTION = process.env.TOURS_COLLECTION || 'tours';
+const TAXONOMY_FILE = process.env.TAXONOMY_FILE || path.join(__dirname, 'data', 'taxonomy.json');
+const REGIONS_DIR = process.env.REGIONS_DIR || path.join(__dirname, 'data', 'regions');
+// Absolute links in shared pages and exports; the request's own host is only a development fallback
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+
+// Geocoding - backends are tried in order; Nominatim is opt-in
+const GEOCODERS = (process.env.GEOCODERS || 'gazetteer').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+const GAZETTEER_FILES = (process.env.GAZETTEER_FILES || path.join(__dirname, 'data', 'gazetteer.json'))
+  .split(',').map(file => file.trim()).filter(Boolean);
+const NOMINATIM_MIN_INTERVAL_MS = 1000;
+const NOMINATIM_TIMEOUT_MS = 5000;
 
 // Validate required environment variables
 if (!MONGODB_URI) {
@@ -56,6 +82,50 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+/**
+ * Contribution moderation states
+ * "approving" is held only while an approval publishes the record
+ */
+const CONTRIBUTION_STATUSES = ['pending', 'approving', 'approved', 'rejected'];
+
+/**
+ * Age after which an "approving" claim counts as abandoned (the server stopped mid-approval)
+ * and the contribution can be approved again
+ */
+const CONTRIBUTION_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Query matching records visible on the public map
+ * Records created before moderation existed carry no status and count as approved
+ */
+const PUBLIC_FILTER = { status: { $nin: ['pending', 'rejected'] } };
+
+/**
+ * Most records /api/traditions returns for one query
+ */
+const TRADITIONS_MAX_RESULTS = 1000;
+
+/**
+ * Admin guard for moderation routes
+ * Expects the ADMIN_PASSWORD value in the X-Admin-Password header
+ */
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_PASSWORD) {
+    return res.status(403).json({ error: 'Admin access is not configured' });
+  }
+  if (req.get('x-admin-password') !== ADMIN_PASSWORD) {
+    return res.status(401).json({ error: 'Invalid admin credentials' });
+  }
+  next();
+};
+
+/**
+ * Parse a route id into an ObjectId, returning null when malformed
+ */
+function parseObjectId(id) {
+  return ObjectId.isValid(id) && String(new ObjectId(id)) === id ? new ObjectId(id) : null;
+}
+
 /**
  * Parse compound language values into individual items
  * Handles: "Punjabi/Braj Bhasha", "Hindi (Braj, Avadhi dialects)", etc.
@@ -169,53 +239,28 @@ function parseTraditionValue(value) {
 }
 
 /**
- * Normalize language names
+ * Canonical language name from the alias registry, title-cased when unknown
  */
 function normalizeLanguageName(name) {
   if (!name) return name;
   
-  let cleaned = name.trim().replace(/[()]/g, '').replace(/\s+/g, ' ');
+  const cleaned = name.trim().replace(/[()]/g, '').replace(/\s+/g, ' ');
   if (cleaned.length < 2) return null;
   
-  const normalizations = {
-    'brajbhasa': 'Braj Bhasha', 'brajbhasha': 'Braj Bhasha', 'braj bhasa': 'Braj Bhasha',
-    'braj': 'Braj Bhasha', 'brij bhasha': 'Braj Bhasha', 'brijbhasha': 'Braj Bhasha',
-    'hindii': 'Hindi', 'hindustani': 'Hindi',
-    'sanskirt': 'Sanskrit', 'sankrit': 'Sanskrit', 'sanskrit-derived': 'Sanskrit',
-    'bangla': 'Bengali', 'panjabi': 'Punjabi', 'tamizh': 'Tamil', 'telegu': 'Telugu',
-    'kannad': 'Kannada', 'gujrati': 'Gujarati', 'avadhi': 'Awadhi', 'maithali': 'Maithili',
-    'farsi': 'Persian', 'odiya': 'Odia', 'oriya': 'Odia', 'marwari': 'Marwari',
-    'sant bhasha': 'Sant Bhasha', 'kashmiri': 'Kashmiri'
-  };
-  
-  const lowerName = cleaned.toLowerCase();
-  if (normalizations[lowerName]) return normalizations[lowerName];
-  
-  return cleaned.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  return aliasRegistry.canonicalize('language', cleaned) ||
+    cleaned.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
 }
 
 /**
- * Normalize tradition names
+ * Canonical tradition name from the alias registry
  */
 function normalizeTraditionName(name) {
   if (!name) return name;
   
-  let cleaned = name.trim().replace(/\s+/g, ' ');
+  const cleaned = name.trim().replace(/\s+/g, ' ');
   if (cleaned.length < 2) return null;
   
-  const normalizations = {
-    'vaisnava': 'Vaishnava', 'vaiṣṇava': 'Vaishnava', 'vaishnavism': 'Vaishnava',
-    'saiva': 'Shaiva', 'śaiva': 'Shaiva', 'shaivism': 'Shaiva',
-    'siddhānta': 'Siddhanta', 'liṅgāyat': 'Lingayat', 'lingāyat': 'Lingayat',
-    'vārkari': 'Varkari', 'gauḍīya': 'Gaudiya', 'gaudīya': 'Gaudiya',
-    'vīraśaiva': 'Virashaiva', 'virasaiva': 'Virashaiva',
-    'āḻvārs': 'Alvars', 'alwars': 'Alvars', 'nāyanārs': 'Nayanars', 'nayanmars': 'Nayanars'
-  };
-  
-  const lowerName = cleaned.toLowerCase();
-  if (normalizations[lowerName]) return normalizations[lowerName];
-  
-  return cleaned;
+  return aliasRegistry.canonicalize('tradition', cleaned) || cleaned;
 }
 
 /**
@@ -256,445 +301,4056 @@ function validateContributionBody(body) {
 }
 
 /**
- * Geocode place names using Nominatim
+ * Fields a client may set on a tradition record
  */
-async function geocodePlace(placeName) {
-  try {
-    console.log(`🔍 Geocoding: ${placeName}`);
-    const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(placeName)}&limit=1&countrycodes=in`;
-    
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'Bhakti-Tradition-Map/1.0' }
-    });
+const EDITABLE_FIELDS = [
+  'saint', 'tradition', 'period', 'startYear', 'endYear', 'traditionType', 'school',
+  'presidingDeity', 'sufi', 'birthPlace', 'deathPlace', 'gender', 'language', 'texts', 'philosophy', 'sources'
+];
 
-    if (!response.ok) return null;
+/**
+ * Normalize cited sources to a de-duplicated list of trimmed strings (citations or URLs)
+ */
+function parseSources(value) {
+  const entries = Array.isArray(value) ? value : (value ? String(value).split(/\n/) : []);
+  return [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+}
 
-    const data = await response.json();
-    
-    if (Array.isArray(data) && data.length > 0) {
-      const place = data[0];
-      const displayName = place.display_name || placeName;
-      const parts = displayName.split(',');
-      
-      return {
-        lat: parseFloat(place.lat),
-        lon: parseFloat(place.lon),
-        displayName: displayName,
-        region: parts.length > 1 ? parts[1].trim() : ''
-      };
-    }
-    return null;
-  } catch (error) {
-    console.error(`❌ Geocoding error for "${placeName}":`, error.message);
-    return null;
-  }
+/**
+ * Build a tradition document from a validated request body
+ * Timestamps and moderation fields are left to the caller
+ */
+function buildTraditionDocument(body, geocodedPlaces) {
+  return {
+    saint: body.saint.trim(),
+    tradition: body.tradition.trim(),
+    places: geocodedPlaces,
+    period: body.period.trim(),
+    startYear: body.startYear.trim(),
+    endYear: body.endYear.trim(),
+    traditionType: body.traditionType.trim(),
+    school: body.school ? body.school.trim() : null,
+    presidingDeity: body.presidingDeity ? body.presidingDeity.trim() : null,
+    sufi: Boolean(body.sufi),
+    birthPlace: body.birthPlace.trim(),
+    deathPlace: body.deathPlace ? body.deathPlace.trim() : null,
+    gender: body.gender.trim(),
+    language: body.language.trim(),
+    texts: Array.isArray(body.texts) ? body.texts : (body.texts ? [body.texts] : []),
+    philosophy: body.philosophy.trim(),
+    sources: parseSources(body.sources),
+    dates: buildHistoricalDates(body)
+  };
 }
 
 /**
- * Process and geocode places
+ * Fields captured in each revision snapshot
  */
-async function normalizeAndGeocodePlaces(places = {}) {
-  const placeTypes = ['birth', 'samadhi'];
-  const geocodedPlaces = {};
+const REVISION_FIELDS = [...EDITABLE_FIELDS, 'places'];
+
+/**
+ * Name of the editor making a change, taken from the X-Editor header
+ */
+function getEditor(req, fallback = 'admin') {
+  const editor = req.get('x-editor');
+  return editor && editor.trim() ? editor.trim() : fallback;
+}
+
+/**
+ * Copy the revisioned fields out of a record
+ */
+function pickRevisionFields(doc) {
+  if (!doc) return null;
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, doc[field] ?? null]));
+}
+
+/**
+ * Field-level diff between two record states
+ * Either side may be null (record created or deleted)
+ */
+function diffRecords(before, after) {
+  const changes = [];
   
-  for (const type of placeTypes) {
-    const placeData = places[type];
-    if (!placeData) {
-      geocodedPlaces[type] = null;
-      continue;
+  REVISION_FIELDS.forEach(field => {
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
     }
+  });
+  
+  return changes;
+}
 
-    const processPlace = async (placeObj) => {
-      if (!placeObj || !placeObj.name) return null;
-      
-      let coords = Array.isArray(placeObj.coords) && placeObj.coords.length === 2 ? placeObj.coords : null;
-      let region = placeObj.region || null;
-      
-      if (!coords) {
-        const geoData = await geocodePlace(placeObj.name);
-        coords = geoData ? [geoData.lat, geoData.lon] : null;
-        region = region || (geoData ? geoData.region : null);
-      }
-      
-      return { name: placeObj.name, coords: coords, region: region };
-    };
+/**
+ * Attempts at taking the next revision number before giving up
+ */
+const REVISION_VERSION_ATTEMPTS = 10;
 
-    if (Array.isArray(placeData)) {
-      const processedPlaces = [];
-      for (const place of placeData) {
-        const processed = await processPlace(place);
-        if (processed) processedPlaces.push(processed);
-      }
-      geocodedPlaces[type] = processedPlaces.length ? processedPlaces : null;
-    } else {
-      geocodedPlaces[type] = await processPlace(placeData);
+/**
+ * Store a versioned snapshot of a record after a write
+ * The record write has already happened, so a version taken by a concurrent write
+ * (duplicate key on the { recordId, version } index) is retried with the next number
+ */
+async function recordRevision(revisionsCollection, recordId, before, after, options) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await insertNextRevision(revisionsCollection, recordId, before, after, options);
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= REVISION_VERSION_ATTEMPTS) throw error;
     }
   }
+}
+
+/**
+ * Insert a revision numbered after the latest one
+ * Records that predate revision tracking get their prior state saved as a baseline first
+ */
+async function insertNextRevision(revisionsCollection, recordId, before, after, { action, changedBy, restoredFrom = null }) {
+  const latest = await revisionsCollection.find({ recordId }).sort({ version: -1 }).limit(1).next();
+  let version = latest ? latest.version : 0;
   
-  return geocodedPlaces;
+  if (!latest && before) {
+    version = 1;
+    await revisionsCollection.insertOne({
+      recordId,
+      version,
+      action: 'baseline',
+      changedBy: null,
+      changedAt: before.updatedAt || before.contributedAt || new Date(),
+      snapshot: pickRevisionFields(before),
+      diff: []
+    });
+  }
+  
+  const revision = {
+    recordId,
+    version: version + 1,
+    action,
+    changedBy,
+    changedAt: new Date(),
+    snapshot: pickRevisionFields(after),
+    diff: diffRecords(before, after),
+    restoredFrom
+  };
+  
+  await revisionsCollection.insertOne(revision);
+  return revision;
 }
 
 /**
- * Convert tradition document to map markers
+ * Saint relationship types - each describes the related saint relative to the saint,
+ * e.g. { saintId: Tukaram, relatedSaintId: Namdev, type: 'influenced-by' }
  */
-function convertToMapMarkers(doc) {
-  const markers = [];
-  if (!doc?.places || typeof doc.places !== 'object') return markers;
+const RELATIONSHIP_TYPES = ['guru', 'disciple', 'influenced-by', 'contemporary', 'sampradaya-founder'];
 
-  const createMarker = (place, type) => {
-    if (!place?.coords || place.coords.length !== 2) return;
+/**
+ * Normalize a relationship type ("Influenced By", "influenced_by" -> "influenced-by")
+ */
+function normalizeRelationshipType(type) {
+  if (!type || typeof type !== 'string') return null;
+  const normalized = type.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return RELATIONSHIP_TYPES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Parse the relatedSaints field of a contribution
+ * Accepts a single { id, type } object or an array of them; entries without an id are ignored
+ */
+function parseRelatedSaints(value) {
+  const entries = Array.isArray(value) ? value : (value ? [value] : []);
+  const relations = [];
+  const errors = [];
+  
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') return;
+    const rawId = entry.id ? String(entry.id).trim() : '';
+    if (!rawId) return;
     
-    markers.push({
-      id: `${doc._id}_${type}_${Math.random().toString(36).slice(2, 9)}`,
-      name: place.name,
-      coords: place.coords,
-      type: type,
-      saint: doc.saint,
-      tradition: doc.tradition,
-      traditionType: doc.traditionType,
-      gender: doc.gender,
-      period: doc.period,
-      startYear: doc.startYear,
-      endYear: doc.endYear,
-      language: doc.language,
-      philosophy: doc.philosophy,
-      texts: doc.texts || [],
-      presidingDeity: doc.presidingDeity || null,
-      popup: `${place.name} — ${type} of ${doc.saint}`,
-      updatedAt: doc.updatedAt || null,
-      fullData: doc
-    });
-  };
+    const saintId = parseObjectId(rawId);
+    const type = normalizeRelationshipType(entry.type);
+    
+    if (!saintId) errors.push(`relatedSaints[${index}]: "${rawId}" is not a valid saint id`);
+    if (!type) errors.push(`relatedSaints[${index}]: type must be one of ${RELATIONSHIP_TYPES.join(', ')}`);
+    if (saintId && type) relations.push({ saintId, type });
+  });
+  
+  return { relations: uniqueRelations(relations), errors };
+}
 
-  for (const [type, placeData] of Object.entries(doc.places)) {
-    if (!placeData) continue;
-    if (Array.isArray(placeData)) {
-      placeData.forEach(place => createMarker(place, type));
-    } else {
-      createMarker(placeData, type);
-    }
-  }
+/**
+ * Drop repeated { saintId, type } pairs, which the relationships unique index would reject
+ */
+function uniqueRelations(relations) {
+  const seen = new Set();
+  return relations.filter(relation => {
+    const key = `${relation.saintId}:${relation.type}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
 
-  return markers;
+/**
+ * Orient a relationship for drawing: edges point from teacher/influence to the later saint
+ */
+function toRelationshipEdge(relationship) {
+  const saint = relationship.saintId.toString();
+  const related = relationship.relatedSaintId.toString();
+  const fromRelated = ['guru', 'influenced-by', 'sampradaya-founder'].includes(relationship.type);
+  
+  return {
+    id: relationship._id.toString(),
+    saintId: saint,
+    relatedSaintId: related,
+    type: relationship.type,
+    from: fromRelated ? related : saint,
+    to: fromRelated ? saint : related,
+    directed: relationship.type !== 'contemporary'
+  };
 }
 
 // ========================================
-// SERVER INITIALIZATION
+// ALIAS REGISTRY
 // ========================================
 
-async function startServer() {
-  const app = express();
-  
-  // Middleware
-  // Middleware - Allow Vercel frontend
-app.use(cors({ 
-  origin: [
-    'http://localhost:3000',
-    'http://localhost:5500',
-    'https://bhakti-tradition-map-vo8a.vercel.app',
-    'https://*.vercel.app'
-  ], 
-  credentials: false 
-}));
-  app.use(express.json({ limit: '10mb' }));
-  app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
-  });
+/**
+ * Kinds of names the alias registry covers
+ */
+const ALIAS_KINDS = ['tradition', 'language', 'saint', 'place'];
 
-  // ========================================
-  // STATIC FILE SERVING
-  // ========================================
+/**
+ * Seed entries written to an empty aliases collection
+ * Spellings that differ only by diacritics or sh/s, w/v style transliteration
+ * already collide through aliasKey and need no entry
+ */
+const DEFAULT_ALIASES = [
+  { kind: 'tradition', canonical: 'Vaishnava', aliases: ['Vaiṣṇava', 'Vaisnava', 'Vaishnavism'] },
+  { kind: 'tradition', canonical: 'Shaiva', aliases: ['Śaiva', 'Saiva', 'Shaivism'] },
+  { kind: 'tradition', canonical: 'Siddhanta', aliases: ['Siddhānta'] },
+  // Vīraśaiva and Lingayat name one community, so filtering by either returns both
+  { kind: 'tradition', canonical: 'Lingayat', aliases: ['Liṅgāyat', 'Lingāyat', 'Virashaiva', 'Vīraśaiva', 'Virasaiva'] },
+  { kind: 'tradition', canonical: 'Varkari', aliases: ['Vārkari', 'Vārkarī', 'Varkari Sampradaya'] },
+  { kind: 'tradition', canonical: 'Gaudiya', aliases: ['Gauḍīya', 'Gaudīya'] },
+  { kind: 'tradition', canonical: 'Alvars', aliases: ['Āḻvārs', 'Alwars'] },
+  { kind: 'tradition', canonical: 'Nayanars', aliases: ['Nāyanārs', 'Nayanmars'] },
+  { kind: 'language', canonical: 'Braj Bhasha', aliases: ['Braj Bhasa', 'BrajBhasha', 'BrajBhasa', 'Brij Bhasha', 'Brijbhasha', 'Braj'] },
+  { kind: 'language', canonical: 'Hindi', aliases: ['Hindii', 'Hindustani'] },
+  { kind: 'language', canonical: 'Sanskrit', aliases: ['Sanskirt', 'Sankrit', 'Sanskrit-derived'] },
+  { kind: 'language', canonical: 'Bengali', aliases: ['Bangla'] },
+  { kind: 'language', canonical: 'Punjabi', aliases: ['Panjabi'] },
+  { kind: 'language', canonical: 'Tamil', aliases: ['Tamizh'] },
+  { kind: 'language', canonical: 'Telugu', aliases: ['Telegu'] },
+  { kind: 'language', canonical: 'Kannada', aliases: ['Kannad'] },
+  { kind: 'language', canonical: 'Gujarati', aliases: ['Gujrati'] },
+  { kind: 'language', canonical: 'Awadhi', aliases: ['Avadhi'] },
+  { kind: 'language', canonical: 'Maithili', aliases: ['Maithali'] },
+  { kind: 'language', canonical: 'Persian', aliases: ['Farsi'] },
+  { kind: 'language', canonical: 'Odia', aliases: ['Odiya', 'Oriya'] },
+  { kind: 'saint', canonical: 'Jñāneśvar', aliases: ['Dnyaneshwar', 'Jnanadeva', 'Gyaneshwar'] },
+  { kind: 'saint', canonical: 'Mīrābāī', aliases: ['Meera', 'Meerabai', 'Mira Bai'] },
+  { kind: 'saint', canonical: 'Tulsīdās', aliases: ['Goswami Tulsidas'] },
+  { kind: 'place', canonical: 'Varanasi', aliases: ['Kashi', 'Benares', 'Banaras'] },
+  { kind: 'place', canonical: 'Prayagraj', aliases: ['Allahabad', 'Prayag'] },
+  { kind: 'place', canonical: 'Vrindavan', aliases: ['Brindaban', 'Vrindaban'] }
+];
+
+/**
+ * Lookup key for a name: transliteration-folded words, spaces removed
+ * "Braj Bhasa" / "BrajBhasha" / "Braj Bhāṣā" -> brajbhas
+ */
+function aliasKey(name) {
+  return foldDiacritics(name).split(' ').map(transliterationKey).join('');
+}
+
+/**
+ * Validate an alias entry from a request body
+ * @returns {{ entry, errors }} entry is { kind, canonical, aliases } with trimmed, de-duplicated names
+ */
+function parseAliasEntry(body = {}) {
+  const errors = [];
+  const kind = String(body.kind || '').trim().toLowerCase();
+  const canonical = typeof body.canonical === 'string' ? body.canonical.trim() : '';
   
-  // Serve from frontend/ folder (primary)
-  const frontendPath = path.join(__dirname, 'frontend');
-  if (fs.existsSync(frontendPath)) {
-    app.use(express.static(frontendPath));
-    console.log(`📁 Serving static files from: ${frontendPath}`);
+  if (!ALIAS_KINDS.includes(kind)) {
+    errors.push(`Field "kind" must be one of: ${ALIAS_KINDS.join(', ')}`);
+  }
+  if (!canonical) {
+    errors.push('Field "canonical" is required and must be a non-empty string');
+  }
+  if (body.aliases !== undefined && !Array.isArray(body.aliases)) {
+    errors.push('Field "aliases" must be an array of strings');
   }
   
-  // Also serve from root (fallback)
-  app.use(express.static(__dirname));
+  const aliases = [];
+  (Array.isArray(body.aliases) ? body.aliases : []).forEach((alias, index) => {
+    if (typeof alias !== 'string' || !alias.trim()) {
+      errors.push(`aliases[${index}] must be a non-empty string`);
+      return;
+    }
+    // Keep distinct spellings even when they share a key; drop exact repeats and the canonical itself
+    const name = alias.trim();
+    if (name === canonical || aliases.includes(name)) return;
+    aliases.push(name);
+  });
+  
+  return { entry: { kind, canonical, aliases }, errors };
+}
 
-  // ========================================
-  // DATABASE CONNECTION
-  // ========================================
+/**
+ * In-memory view of the aliases collection, used synchronously by parsing and filtering
+ * Starts from DEFAULT_ALIASES so scripts work without a database; `.collection` is set in startServer
+ */
+const aliasRegistry = {
+  collection: null,
+  entries: [],
+  lookup: new Map(), // `${kind}:${aliasKey}` -> entry
   
-  const client = new MongoClient(MONGODB_URI, {
-    tls: true,
-    serverSelectionTimeoutMS: 5000,
-    socketTimeoutMS: 45000,
-    connectTimeoutMS: 10000,
-    maxPoolSize: 10,
-    retryWrites: true,
-    w: 'majority'
-  });
+  use(entries) {
+    this.entries = entries;
+    this.lookup = new Map();
+    entries.forEach(entry => {
+      [entry.canonical, ...(entry.aliases || [])].forEach(name => {
+        this.lookup.set(`${entry.kind}:${aliasKey(name)}`, entry);
+      });
+    });
+  },
   
-  await client.connect();
-  const db = client.db(DB_NAME);
-  const traditionsCollection = db.collection(COLLECTION);
+  async load() {
+    if (!this.collection) return;
+    this.use(await this.collection.find({}).sort({ kind: 1, canonical: 1 }).toArray());
+    console.log(`🔤 Alias registry loaded with ${this.entries.length} entries`);
+  },
   
-  console.log('✅ Connected to MongoDB successfully!');
+  /**
+   * Entry whose canonical name or alias matches the name, or null
+   */
+  find(kind, name) {
+    if (!name) return null;
+    return this.lookup.get(`${kind}:${aliasKey(name)}`) || null;
+  },
   
-  // Create indexes
-  await traditionsCollection.createIndex({ saint: 1 }).catch(() => {});
-  await traditionsCollection.createIndex({ tradition: 1 }).catch(() => {});
-  await traditionsCollection.createIndex({ language: 1 }).catch(() => {});
+  /**
+   * Canonical spelling for a name, or null when the registry does not know it
+   */
+  canonicalize(kind, name) {
+    return this.find(kind, name)?.canonical || null;
+  },
+  
+  /**
+   * Every known spelling of a name, the given one first
+   */
+  variants(kind, name) {
+    const entry = this.find(kind, name);
+    return [...new Set([name, ...(entry ? [entry.canonical, ...entry.aliases] : [])])];
+  },
+  
+  /**
+   * Map of canonical name -> alternatives for one kind, limited to the given names when passed
+   */
+  alternatives(kind, names = null) {
+    const wanted = names ? new Set(names) : null;
+    const result = {};
+    this.entries
+      .filter(entry => entry.kind === kind && entry.aliases?.length && (!wanted || wanted.has(entry.canonical)))
+      .forEach(entry => { result[entry.canonical] = entry.aliases; });
+    return result;
+  }
+};
 
-  // ========================================
-  // API ROUTES
-  // ========================================
+aliasRegistry.use(DEFAULT_ALIASES);
 
-  // Health check
-  app.get('/api/health', (req, res) => {
-    res.json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      database: 'connected',
-      version: '1.0.1'
-    });
-  });
+// ========================================
+// TRADITION TAXONOMY
+// ========================================
 
-  // Place suggestions
-  app.get('/api/suggest-places/:query', asyncHandler(async (req, res) => {
-    const query = (req.params.query || '').trim();
-    if (query.length < 3) return res.json([]);
-    
-    const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=5&countrycodes=in`;
-    
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'Bhakti-Tradition-Map/1.0' }
+/**
+ * Load the tradition taxonomy: a flat list of { id, name, parent, level, aliases } nodes
+ * Nodes naming an unknown parent are kept as roots
+ */
+function loadTaxonomy(file) {
+  const nodes = new Map();
+  const lookup = new Map(); // aliasKey -> node
+  
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(entry => {
+      if (!entry?.id || !entry.name) return;
+      nodes.set(entry.id, { ...entry, aliases: entry.aliases || [], children: [] });
     });
+  } catch (error) {
+    console.error(`❌ Failed to load taxonomy "${file}":`, error.message);
+  }
+  
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent);
+    if (node.parent && !parent) console.warn(`⚠️ Taxonomy node "${node.id}" has unknown parent "${node.parent}"`);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
     
-    if (!response.ok) return res.json([]);
-    
-    const data = await response.json();
-    const suggestions = data.map(place => ({
-      name: (place.display_name || '').split(',')[0]?.trim(),
-      fullName: place.display_name,
-      coords: [parseFloat(place.lat), parseFloat(place.lon)],
-      type: place.type,
-      importance: place.importance || 0
+    [node.name, ...node.aliases].forEach(name => lookup.set(aliasKey(name), node));
+  });
+  
+  console.log(`🌳 Taxonomy loaded with ${nodes.size} traditions`);
+  return { nodes, roots, lookup };
+}
+
+const taxonomy = loadTaxonomy(TAXONOMY_FILE);
+
+/**
+ * Taxonomy node for a tradition name, trying the alias registry's canonical spelling too
+ */
+function findTaxonomyNode(name) {
+  if (!name) return null;
+  const canonical = aliasRegistry.canonicalize('tradition', name);
+  return taxonomy.lookup.get(aliasKey(name)) || (canonical && taxonomy.lookup.get(aliasKey(canonical))) || null;
+}
+
+/**
+ * A node followed by all of its descendants, depth first
+ */
+function getTaxonomyDescendants(node) {
+  return [node, ...node.children.flatMap(getTaxonomyDescendants)];
+}
+
+/**
+ * Every spelling that should match a tradition filter: the name's own variants,
+ * plus each descendant's name, taxonomy aliases and registry variants
+ */
+function getTraditionFilterVariants(name) {
+  const node = findTaxonomyNode(name);
+  const names = node
+    ? getTaxonomyDescendants(node).flatMap(child => [child.name, ...child.aliases])
+    : [];
+  
+  return [...new Set([name, ...names].flatMap(value => aliasRegistry.variants('tradition', value)))];
+}
+
+/**
+ * Taxonomy nodes named anywhere in a tradition phrase
+ * "Tamil Śaiva Bhakti" -> Shaiva, "Gauḍīya Vaiṣṇava" -> Gaudiya and Vaishnava
+ */
+function findTaxonomyNodes(phrase) {
+  const words = String(phrase || '').split(/\s+/).filter(Boolean);
+  const found = new Set();
+  
+  for (let size = words.length; size > 0; size--) {
+    for (let start = 0; start + size <= words.length; start++) {
+      const node = findTaxonomyNode(words.slice(start, start + size).join(' '));
+      if (node) found.add(node);
+    }
+  }
+  
+  return [...found];
+}
+
+/**
+ * Taxonomy node ids a record's tradition string belongs to, ancestors included
+ */
+function classifyTradition(value) {
+  const ids = new Set();
+  parseTraditionValue(value).flatMap(findTaxonomyNodes).forEach(match => {
+    let node = match;
+    while (node && !ids.has(node.id)) {
+      ids.add(node.id);
+      node = node.parent ? taxonomy.nodes.get(node.parent) : null;
+    }
+  });
+  return ids;
+}
+
+/**
+ * Taxonomy tree with the number of saints under each node
+ * Tradition names that match no node are returned as `unclassified` for curators
+ */
+function buildTaxonomyTree(traditionValues) {
+  const counts = new Map();
+  const unclassified = new Set();
+  
+  traditionValues.forEach(value => {
+    const ids = classifyTradition(value);
+    if (ids.size === 0 && value) unclassified.add(value);
+    ids.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+  });
+  
+  const toTree = node => ({
+    id: node.id,
+    name: node.name,
+    level: node.level || null,
+    aliases: node.aliases,
+    count: counts.get(node.id) || 0,
+    children: node.children.map(toTree)
+  });
+  
+  return {
+    tree: taxonomy.roots.map(toTree),
+    unclassified: [...unclassified].sort((a, b) => a.localeCompare(b))
+  };
+}
+
+// ========================================
+// REGION BOUNDARIES
+// ========================================
+
+/**
+ * Boundary sets for the choropleth; polities carry `from`/`to` centuries and are only shown within them
+ */
+const REGION_LEVELS = {
+  state: { file: 'india-states.geojson', label: 'Modern states' },
+  polity: { file: 'historical-polities.geojson', label: 'Historical polities' }
+};
+
+/**
+ * Load a GeoJSON boundary file into features with bounding boxes and a name/alias lookup
+ * Features need a properties.id and properties.name; others are skipped
+ */
+function loadRegionBoundaries(file) {
+  const features = [];
+  const lookup = new Map(); // aliasKey -> feature
+  
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf8')).features.forEach(feature => {
+      const { id, name, aliases = [] } = feature?.properties || {};
+      const { type, coordinates } = feature?.geometry || {};
+      if (!id || !name || !['Polygon', 'MultiPolygon'].includes(type)) return;
+      
+      const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+      const points = polygons.flatMap(polygon => polygon[0]);
+      const lngs = points.map(point => point[0]);
+      const lats = points.map(point => point[1]);
+      
+      const region = {
+        ...feature.properties,
+        aliases,
+        polygons,
+        bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)],
+        feature
+      };
+      features.push(region);
+      [name, ...aliases].forEach(alias => lookup.set(aliasKey(alias), region));
+    });
+  } catch (error) {
+    console.error(`❌ Failed to load region boundaries "${file}":`, error.message);
+  }
+  
+  return { features, lookup };
+}
+
+const regionBoundaries = Object.fromEntries(
+  Object.entries(REGION_LEVELS).map(([level, { file }]) => [level, loadRegionBoundaries(path.join(REGIONS_DIR, file))])
+);
+console.log(`🗾 Region boundaries loaded: ${Object.entries(regionBoundaries).map(([level, set]) => `${set.features.length} ${level}`).join(', ')}`);
+
+/**
+ * Ray-casting test for a [lng, lat] point inside a linear ring
+ */
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a region's outline contains a point - inside an outer ring and outside its holes
+ */
+function regionContains(region, lng, lat) {
+  const [minLng, minLat, maxLng, maxLat] = region.bbox;
+  if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+  return region.polygons.some(([outer, ...holes]) =>
+    pointInRing(lng, lat, outer) && !holes.some(hole => pointInRing(lng, lat, hole))
+  );
+}
+
+/**
+ * Regions of a level that apply to a century; every modern state applies to every century
+ */
+function getRegionsForCentury(level, century) {
+  const { features } = regionBoundaries[level];
+  if (level !== 'polity') return features;
+  return features.filter(region => century >= region.from && century <= region.to);
+}
+
+/**
+ * Centuries for which a level has outlines, oldest first (null when any century applies)
+ */
+function getRegionCenturies(level) {
+  if (level !== 'polity') return null;
+  const centuries = new Set();
+  regionBoundaries.polity.features.forEach(region => {
+    for (let century = region.from; century <= region.to; century++) centuries.add(century);
+  });
+  return [...centuries].sort((a, b) => a - b);
+}
+
+/**
+ * Regions a marker falls in
+ * Modern states try the geocoder's region name first and fall back to the coordinates;
+ * polities overlap, so a place counts toward every outline that contains it
+ */
+function findMarkerRegions(marker, regions, level) {
+  if (level === 'state' && marker.region) {
+    const { lookup } = regionBoundaries.state;
+    const named = String(marker.region).split(',').map(part => lookup.get(aliasKey(part))).find(Boolean);
+    if (named) return [named];
+  }
+  
+  if (!Array.isArray(marker.coords) || marker.coords.length !== 2) return [];
+  const [lat, lng] = marker.coords;
+  const containing = regions.filter(region => regionContains(region, lng, lat));
+  return level === 'state' ? containing.slice(0, 1) : containing;
+}
+
+/**
+ * Most frequent key of a count map
+ */
+function dominantValue(counts) {
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value;
+  });
+  return best;
+}
+
+/**
+ * Per-region saint and place counts with the dominant tradition and language
+ * Traditions and languages are counted once per saint, so a saint with many shrines in a region is not over-weighted
+ * @returns {{ regions, unassigned }} unassigned is the number of markers outside every outline
+ */
+function aggregateRegionStats(markers, level, century) {
+  const regions = getRegionsForCentury(level, century);
+  const stats = new Map(regions.map(region => [region.id, {
+    id: region.id,
+    name: region.name,
+    places: 0,
+    saintIds: new Set(),
+    traditions: new Map(),
+    languages: new Map()
+  }]));
+  let unassigned = 0;
+  
+  markers.forEach(marker => {
+    const matches = findMarkerRegions(marker, regions, level);
+    if (matches.length === 0) unassigned++;
+    
+    matches.forEach(region => {
+      const entry = stats.get(region.id);
+      entry.places++;
+      if (entry.saintIds.has(marker.saintId)) return;
+      entry.saintIds.add(marker.saintId);
+      
+      const tally = (counts, values) => new Set(values).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      tally(entry.traditions, parseTraditionValue(marker.tradition));
+      tally(entry.languages, parseLanguageValue(marker.language));
+    });
+  });
+  
+  const top = counts => [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([name, count]) => ({ name, count }));
+  
+  return {
+    regions: [...stats.values()].map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      saints: entry.saintIds.size,
+      places: entry.places,
+      dominantTradition: dominantValue(entry.traditions),
+      dominantLanguage: dominantValue(entry.languages),
+      traditions: top(entry.traditions),
+      languages: top(entry.languages)
+    })),
+    unassigned
+  };
+}
+
+/**
+ * Validate the level/century query shared by the region routes
+ * @returns {{ level, century, errors }}
+ */
+function parseRegionQuery(query = {}) {
+  const errors = [];
+  const level = String(query.level || 'state');
+  const century = query.century === undefined || query.century === '' ? null : parseInt(query.century, 10);
+  
+  if (!REGION_LEVELS[level]) {
+    errors.push(`Field "level" must be one of: ${Object.keys(REGION_LEVELS).join(', ')}`);
+  }
+  if (level === 'polity' && !Number.isInteger(century)) {
+    errors.push('Field "century" is required for historical polities');
+  }
+  
+  return { level, century, errors };
+}
+
+// ========================================
+// STATISTICS
+// ========================================
+
+const STATS_DEFAULT_LIMIT = 10;
+const STATS_MAX_LIMIT = 50;
+
+/**
+ * Number of rows returned by the ranked /api/stats routes
+ */
+function parseStatsLimit(query = {}) {
+  return Math.min(Math.max(parseInt(query.limit, 10) || STATS_DEFAULT_LIMIT, 1), STATS_MAX_LIMIT);
+}
+
+/**
+ * Saints per century of their normalized start year, oldest first
+ * @returns {{ centuries: Array<{ century, saints }>, undated }}
+ */
+function countSaintsPerCentury(docs) {
+  const counts = countFacetValues(docs, 'centuries');
+  const centuries = Object.entries(counts)
+    .map(([century, saints]) => ({ century: Number(century), saints }))
+    .sort((a, b) => a.century - b.century);
+  
+  return { centuries, undated: docs.length - centuries.reduce((sum, entry) => sum + entry.saints, 0) };
+}
+
+/**
+ * Gender split of the saints in the largest traditions
+ * @returns {{ genders, traditions: Array<{ tradition, total, counts }> }} counts maps gender -> saints
+ */
+function countGenderByTradition(docs, limit) {
+  const traditions = new Map();
+  const genders = new Set();
+  
+  docs.forEach(doc => {
+    const gender = String(doc.gender || '').trim() || 'Unknown';
+    genders.add(gender);
+    
+    new Set(FILTER_FACETS.traditions.values(doc)).forEach(tradition => {
+      const entry = traditions.get(tradition) || { tradition, total: 0, counts: {} };
+      entry.total++;
+      entry.counts[gender] = (entry.counts[gender] || 0) + 1;
+      traditions.set(tradition, entry);
+    });
+  });
+  
+  return {
+    genders: [...genders].sort((a, b) => a.localeCompare(b)),
+    traditions: [...traditions.values()].sort((a, b) => b.total - a.total).slice(0, limit)
+  };
+}
+
+/**
+ * Saints per language, largest first; saints writing in several languages count toward each
+ * @returns {{ languages: Array<{ language, saints }>, other }} other sums the languages past the limit
+ */
+function countLanguages(docs, limit) {
+  const ranked = Object.entries(countFacetValues(docs, 'languages'))
+    .map(([language, saints]) => ({ language, saints }))
+    .sort((a, b) => b.saints - a.saints);
+  
+  return {
+    languages: ranked.slice(0, limit),
+    other: ranked.slice(limit).reduce((sum, entry) => sum + entry.saints, 0)
+  };
+}
+
+/**
+ * Places per place type, most common first
+ */
+function countPlaceTypes(markers) {
+  const counts = new Map();
+  markers.forEach(marker => counts.set(marker.type, (counts.get(marker.type) || 0) + 1));
+  return [...counts.entries()]
+    .map(([type, places]) => ({ type, places }))
+    .sort((a, b) => b.places - a.places);
+}
+
+// ========================================
+// HISTORICAL DATES
+// ========================================
+
+/**
+ * Margin applied to "circa" years when no range is given
+ */
+const CIRCA_MARGIN_YEARS = 10;
+
+/**
+ * Offsets from regional calendar eras to the Common Era
+ * Vikram Samvat runs 56-57 years ahead of CE, Shaka Samvat 78-79 years behind
+ */
+const CALENDAR_ERAS = [
+  { calendar: 'VS', pattern: /\b(?:vikram(?:a)?\s+samvat|samvat|v\.?\s?s\.?)\b/i, offset: -57 },
+  { calendar: 'Shaka', pattern: /\b(?:shaka|saka|s\.?\s?s\.?)(?:\s+samvat)?\b/i, offset: 78 }
+];
+
+/**
+ * Parse a free-text historical year into a normalized value with an uncertainty interval
+ * Handles "1608", "c. 1440", "1440s", "1440-1450", "early 15th century", "500 BCE",
+ * "VS 1665" and "Shaka 1530". Alternatives ("1398 or 1440") widen the interval to cover
+ * every reading. Returns null when nothing year-like is found.
+ * Result: { raw, year, earliest, latest, approximate, calendar }
+ */
+function parseHistoricalYear(value) {
+  if (value === null || value === undefined) return null;
+  const raw = String(value).trim();
+  if (!raw) return null;
+  
+  const text = raw
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[–—]/g, '-')
+    .replace(/\./g, ' ')
+    .replace(/\s*-\s*/g, '-');
+  
+  // "14th or 15th century": bare ordinals borrow the unit of the last reading
+  const readings = text.split(/\bor\b/);
+  const centuryUnit = /\bcentur(?:y|ies)\b/.test(readings[readings.length - 1]);
+  const spans = readings
+    .map(reading => centuryUnit && /\d(?:st|nd|rd|th)\s*$/.test(reading) ? `${reading} century` : reading)
+    .map(parseYearReading)
+    .filter(Boolean);
+  if (spans.length === 0) return null;
+  
+  const earliest = Math.min(...spans.map(span => span.earliest));
+  const latest = Math.max(...spans.map(span => span.latest));
+  
+  return {
+    raw,
+    year: Math.round((earliest + latest) / 2),
+    earliest,
+    latest,
+    approximate: spans.length > 1 || spans.some(span => span.approximate),
+    calendar: spans[0].calendar
+  };
+}
+
+/**
+ * Parse one normalized reading of a year into { earliest, latest, approximate, calendar }
+ * Only its first clause holding a number is read, so eras and BCE apply per number:
+ * in "1608 CE (VS 1665)" the Samvat year is a parenthetical and does not shift 1608
+ */
+function parseYearReading(reading) {
+  const clause = reading.split(/[(),;]/).find(part => /\d/.test(part));
+  if (!clause) return null;
+  
+  const bce = /\b(bce|bc|b c e|b c)\b/.test(clause);
+  const text = clause.replace(/\b(bce|bc|ce|ad|b c e|b c|c e|a d)\b/g, ' ');
+  const approximate = /\b(c|ca|circa|approx|approximately|about|around)\b|~|\?/.test(text);
+  
+  let calendar = 'CE';
+  let offset = 0;
+  for (const era of CALENDAR_ERAS) {
+    if (era.pattern.test(clause)) {
+      calendar = era.calendar;
+      offset = era.offset;
+      break;
+    }
+  }
+  
+  let earliest;
+  let latest;
+  let fuzzy = approximate;
+  
+  const centuryRange = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?-(\d{1,2})(?:st|nd|rd|th)[\s-]+centur(?:y|ies)\b/);
+  const century = text.match(/\b(early|mid|middle|late)?[\s-]*(\d{1,2})(?:st|nd|rd|th)[\s-]+century\b/);
+  const range = text.match(/\b(\d{1,4})-(\d{1,4})\b/);
+  const decade = text.match(/\b(\d{3,4})s\b/);
+  const single = text.match(/\b(\d{1,4})\b/);
+  
+  if (centuryRange) {
+    earliest = (parseInt(centuryRange[1], 10) - 1) * 100 + 1;
+    latest = parseInt(centuryRange[2], 10) * 100;
+    fuzzy = true;
+  } else if (century) {
+    const n = parseInt(century[2], 10);
+    earliest = (n - 1) * 100 + 1;
+    latest = n * 100;
+    if (century[1] === 'early') latest = earliest + 32;
+    else if (century[1] === 'mid' || century[1] === 'middle') { earliest += 33; latest -= 34; }
+    else if (century[1] === 'late') earliest = latest - 33;
+    fuzzy = true;
+  } else if (range) {
+    earliest = parseInt(range[1], 10);
+    let end = range[2];
+    // Abbreviated ends: "1440-50" -> 1450
+    if (end.length < range[1].length) end = range[1].slice(0, range[1].length - end.length) + end;
+    latest = parseInt(end, 10);
+    fuzzy = true;
+  } else if (decade) {
+    earliest = parseInt(decade[1], 10);
+    latest = earliest + 9;
+    fuzzy = true;
+  } else if (single) {
+    earliest = parseInt(single[1], 10);
+    latest = earliest;
+    if (approximate) {
+      earliest -= CIRCA_MARGIN_YEARS;
+      latest += CIRCA_MARGIN_YEARS;
+    }
+  } else {
+    return null;
+  }
+  
+  if (bce) {
+    [earliest, latest] = [-latest, -earliest];
+  }
+  
+  earliest += offset;
+  latest += offset;
+  // Regional years straddle two CE years
+  if (calendar !== 'CE') latest += 1;
+  if (earliest > latest) [earliest, latest] = [latest, earliest];
+  
+  return { earliest, latest, approximate: fuzzy || calendar !== 'CE', calendar };
+}
+
+/**
+ * Normalized start/end dates for a record, derived from its free-text years
+ */
+function buildHistoricalDates(record) {
+  return {
+    start: parseHistoricalYear(record.startYear),
+    end: parseHistoricalYear(record.endYear)
+  };
+}
+
+// ========================================
+// GEOCODING
+// ========================================
+
+/**
+ * Fold a place name for matching: strip diacritics, punctuation and case
+ * "Śrīraṅgam" -> "srirangam", "Pandharpur, Maharashtra" -> "pandharpur maharashtra"
+ */
+function foldDiacritics(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Load gazetteer files into a lookup index keyed by folded name and alias
+ * Entries: { name, aliases, lat, lon, region, kind }; a key shared by several places maps to all of them
+ */
+function loadGazetteer(files) {
+  const entries = [];
+  const index = new Map();
+  
+  files.forEach(file => {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      data.forEach(entry => {
+        if (!entry?.name || typeof entry.lat !== 'number' || typeof entry.lon !== 'number') return;
+        entries.push(entry);
+        [entry.name, ...(entry.aliases || [])].forEach(name => {
+          const key = foldDiacritics(name);
+          if (!key) return;
+          const matches = index.get(key) || [];
+          if (!matches.includes(entry)) index.set(key, [...matches, entry]);
+        });
+      });
+    } catch (error) {
+      console.error(`❌ Failed to load gazetteer "${file}":`, error.message);
+    }
+  });
+  
+  console.log(`🗺️ Gazetteer loaded with ${entries.length} places`);
+  return { entries, index };
+}
+
+const gazetteer = loadGazetteer(GAZETTEER_FILES);
+
+/**
+ * Geocoder results below this confidence, or with several candidates, are flagged for review
+ */
+const GEOCODE_CONFIDENCE_THRESHOLD = 0.8;
+
+/**
+ * Build a geocoder result from ranked candidates { lat, lon, displayName, region, confidence }
+ * The best candidate supplies the coordinates; all of them are kept for review
+ */
+function geocodeResult(candidates, source) {
+  if (candidates.length === 0) return null;
+  const [best] = candidates;
+  
+  return {
+    lat: best.lat,
+    lon: best.lon,
+    displayName: best.displayName,
+    region: best.region,
+    confidence: best.confidence,
+    source,
+    candidates: candidates.map(c => ({
+      displayName: c.displayName,
+      coords: [c.lat, c.lon],
+      region: c.region,
+      confidence: c.confidence
+    }))
+  };
+}
+
+/**
+ * Shape a gazetteer entry as a geocoder candidate
+ */
+function gazetteerCandidate(entry, confidence) {
+  return {
+    lat: entry.lat,
+    lon: entry.lon,
+    displayName: entry.region ? `${entry.name}, ${entry.region}` : entry.name,
+    region: entry.region || '',
+    confidence
+  };
+}
+
+/**
+ * Look a place up in the local gazetteer
+ * Tries the full name, then its first comma-separated part, then without generic words like "temple";
+ * each fallback lowers the confidence, and names shared by several places share it between them
+ */
+function gazetteerGeocode(placeName) {
+  const folded = foldDiacritics(placeName);
+  const firstPart = foldDiacritics(String(placeName).split(',')[0]);
+  const stripped = firstPart.replace(/\b(temple|mandir|mandiram|math|mutt|dham|kshetra|sahib|city|town|village|district)\b/g, '').replace(/\s+/g, ' ').trim();
+  
+  const attempts = [[folded, 1], [firstPart, 0.9], [stripped, 0.7]];
+  for (const [key, confidence] of attempts) {
+    const matches = key ? gazetteer.index.get(key) : null;
+    if (matches) {
+      const shared = confidence / matches.length;
+      return geocodeResult(matches.map(entry => gazetteerCandidate(entry, shared)), 'gazetteer');
+    }
+  }
+  return null;
+}
+
+/**
+ * Gazetteer suggestions - prefix matches on any name or alias rank above substring matches
+ */
+function gazetteerSuggest(query, limit) {
+  const folded = foldDiacritics(query);
+  if (!folded) return [];
+  
+  const scored = [];
+  gazetteer.entries.forEach(entry => {
+    const names = [entry.name, ...(entry.aliases || [])].map(foldDiacritics);
+    const score = names.some(n => n === folded) ? 3 : names.some(n => n.startsWith(folded)) ? 2 : names.some(n => n.includes(folded)) ? 1 : 0;
+    if (score > 0) scored.push({ entry, score });
+  });
+  
+  return scored
+    .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+    .slice(0, limit)
+    .map(({ entry, score }) => ({
+      name: entry.name,
+      fullName: entry.region ? `${entry.name}, ${entry.region}` : entry.name,
+      coords: [entry.lat, entry.lon],
+      type: entry.kind || 'place',
+      importance: score / 3,
+      source: 'gazetteer'
     }));
+}
+
+/**
+ * Nominatim requests are serialized and spaced to honour its 1 request/second policy
+ * Each request is cut off after NOMINATIM_TIMEOUT_MS so one stalled socket cannot hold up the queue.
+ * A request whose caller signal aborts while it waits gives up its slot.
+ * @param {AbortSignal} [signal] - Aborted when the caller no longer wants the result
+ * @returns {Promise<*>} Parsed JSON body, or null on an error status, timeout or abort
+ */
+let nominatimQueue = Promise.resolve();
+let lastNominatimRequest = 0;
+
+function throttledNominatimFetch(url, signal = null) {
+  const request = nominatimQueue.then(async () => {
+    if (signal?.aborted) return null;
+    const wait = lastNominatimRequest + NOMINATIM_MIN_INTERVAL_MS - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    if (signal?.aborted) return null;
+    lastNominatimRequest = Date.now();
+    
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timer = setTimeout(abort, NOMINATIM_TIMEOUT_MS);
+    signal?.addEventListener('abort', abort);
+    try {
+      const response = await fetch(url, { headers: { 'User-Agent': 'Bhakti-Tradition-Map/1.0' }, signal: controller.signal });
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+      if (!signal?.aborted) console.warn(`⚠️ Nominatim request timed out after ${NOMINATIM_TIMEOUT_MS}ms`);
+      return null;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  });
+  nominatimQueue = request.catch(() => {});
+  return request;
+}
+
+/**
+ * Geocode a place with Nominatim (OpenStreetMap)
+ * Confidence comes from Nominatim's importance score, halved when the runner-up is close behind
+ */
+async function nominatimGeocode(placeName) {
+  const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(placeName)}&limit=5&countrycodes=in`;
+  const data = await throttledNominatimFetch(url);
+  if (!Array.isArray(data) || data.length === 0) return null;
+  
+  const candidates = data.map(place => {
+    const displayName = place.display_name || placeName;
+    const parts = displayName.split(',');
+    return {
+      lat: parseFloat(place.lat),
+      lon: parseFloat(place.lon),
+      displayName,
+      region: parts.length > 1 ? parts[1].trim() : '',
+      confidence: Math.min(1, place.importance || 0)
+    };
+  });
+  
+  if (candidates.length > 1 && candidates[0].confidence - candidates[1].confidence < 0.1) {
+    candidates[0].confidence /= 2;
+  }
+  
+  return geocodeResult(candidates, 'nominatim');
+}
+
+/**
+ * Nominatim place suggestions
+ * Clients abort superseded suggestion requests, and a disconnect aborts the signal,
+ * so abandoned keystrokes drop out of the queue instead of delaying real geocoding
+ */
+async function nominatimSuggest(query, limit, signal) {
+  const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=${limit}&countrycodes=in`;
+  const data = await throttledNominatimFetch(url, signal);
+  if (!Array.isArray(data)) return [];
+  
+  return data.map(place => ({
+    name: (place.display_name || '').split(',')[0]?.trim(),
+    fullName: place.display_name,
+    coords: [parseFloat(place.lat), parseFloat(place.lon)],
+    type: place.type,
+    importance: place.importance || 0,
+    source: 'nominatim'
+  }));
+}
+
+/**
+ * Available geocoder backends, tried in the order given by GEOCODERS
+ * Results from remote backends are written to the persistent cache
+ */
+const GEOCODER_BACKENDS = {
+  gazetteer: { geocode: gazetteerGeocode, suggest: gazetteerSuggest, cacheable: false },
+  nominatim: { geocode: nominatimGeocode, suggest: nominatimSuggest, cacheable: true }
+};
+
+/**
+ * Persistent geocode cache, backed by a MongoDB collection once the server connects
+ */
+const geocodeCache = {
+  collection: null,
+  
+  async get(key) {
+    if (!this.collection) return null;
+    const cached = await this.collection.findOne({ key });
+    return cached ? cached.result : null;
+  },
+  
+  async set(key, result) {
+    if (!this.collection) return;
+    await this.collection.updateOne(
+      { key },
+      { $set: { key, result, cachedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+};
+
+/**
+ * Geocode a place name: cache first, then each configured backend in turn
+ * Names the alias registry knows (Kashi, Benares) are looked up by their canonical spelling
+ */
+async function geocodePlace(placeName) {
+  const key = foldDiacritics(placeName);
+  if (!key) return null;
+  
+  const cached = await geocodeCache.get(key).catch(() => null);
+  if (cached) return { ...cached, source: 'cache' };
+  
+  const lookupName = aliasRegistry.canonicalize('place', placeName) || placeName;
+  
+  for (const name of GEOCODERS) {
+    const backend = GEOCODER_BACKENDS[name];
+    if (!backend) continue;
+    
+    try {
+      console.log(`🔍 Geocoding with ${name}: ${lookupName}`);
+      const result = await backend.geocode(lookupName);
+      if (result) {
+        if (backend.cacheable) await geocodeCache.set(key, result).catch(() => {});
+        return result;
+      }
+    } catch (error) {
+      console.error(`❌ Geocoding error (${name}) for "${placeName}":`, error.message);
+    }
+  }
+  
+  console.warn(`⚠️ No geocoder could resolve "${placeName}"`);
+  return null;
+}
+
+/**
+ * Place suggestions merged across configured backends, de-duplicated by name
+ * @param {AbortSignal} [signal] - Aborted when the client goes away
+ */
+async function suggestPlaces(query, limit = 5, signal = null) {
+  const suggestions = [];
+  const seen = new Set();
+  
+  for (const name of GEOCODERS) {
+    const backend = GEOCODER_BACKENDS[name];
+    if (!backend || suggestions.length >= limit) continue;
+    
+    try {
+      const results = await backend.suggest(query, limit - suggestions.length, signal);
+      results.forEach(result => {
+        const key = foldDiacritics(result.name);
+        if (!seen.has(key)) {
+          seen.add(key);
+          suggestions.push(result);
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Place suggestion error (${name}) for "${query}":`, error.message);
+    }
+  }
+  
+  return suggestions.slice(0, limit);
+}
+
+/**
+ * Classify a geocoder result: "resolved" when confident with a single candidate, else "ambiguous"
+ */
+function getGeocodeStatus(geoData) {
+  const candidateCount = geoData.candidates ? geoData.candidates.length : 1;
+  return geoData.confidence >= GEOCODE_CONFIDENCE_THRESHOLD && candidateCount <= 1 ? 'resolved' : 'ambiguous';
+}
+
+/**
+ * Places of a record that need review: failed, ambiguous, below the confidence threshold,
+ * or stored before geocode metadata existed without coordinates
+ */
+function findPlacesNeedingReview(doc, maxConfidence = GEOCODE_CONFIDENCE_THRESHOLD) {
+  const results = [];
+  if (!doc?.places) return results;
+  
+  for (const [type, placeData] of Object.entries(doc.places)) {
+    if (!placeData) continue;
+    const places = Array.isArray(placeData) ? placeData : [placeData];
+    
+    places.forEach((place, index) => {
+      if (!place) return;
+      const geocode = place.geocode || null;
+      const needsReview = !place.coords
+        || (geocode && ['failed', 'ambiguous'].includes(geocode.status))
+        || (geocode && geocode.status !== 'manual' && geocode.confidence < maxConfidence);
+      
+      if (needsReview) {
+        results.push({
+          recordId: doc._id.toString(),
+          saint: doc.saint,
+          placeType: type,
+          index,
+          place
+        });
+      }
+    });
+  }
+  
+  return results;
+}
+
+/**
+ * Place types stored on a record - temples and areas of influence hold lists
+ */
+const PLACE_TYPES = ['birth', 'death', 'enlightenment', 'samadhi', 'temple', 'influence'];
+const MULTI_VALUED_PLACE_TYPES = ['temple', 'influence'];
+
+/**
+ * Process and geocode places
+ * Entries may be { name, coords, region } objects or plain place-name strings
+ */
+async function normalizeAndGeocodePlaces(places = {}) {
+  const geocodedPlaces = {};
+  
+  for (const type of PLACE_TYPES) {
+    let placeData = places[type];
+    if (!placeData) {
+      geocodedPlaces[type] = null;
+      continue;
+    }
+    
+    if (MULTI_VALUED_PLACE_TYPES.includes(type) && !Array.isArray(placeData)) {
+      placeData = [placeData];
+    }
+
+    const processPlace = async (placeObj) => {
+      if (typeof placeObj === 'string') placeObj = { name: placeObj.trim() };
+      if (!placeObj || !placeObj.name) return null;
+      
+      let coords = Array.isArray(placeObj.coords) && placeObj.coords.length === 2 ? placeObj.coords : null;
+      let region = placeObj.region || null;
+      
+      // Coordinates sent with the place were entered by hand or already reviewed
+      if (coords) {
+        const geocode = placeObj.geocode || { status: 'manual', confidence: 1, source: 'user', candidates: [] };
+        return { name: placeObj.name, coords, region, geocode };
+      }
+      
+      const geoData = await geocodePlace(placeObj.name);
+      if (!geoData) {
+        return {
+          name: placeObj.name,
+          coords: null,
+          region,
+          geocode: { status: 'failed', confidence: 0, source: null, candidates: [] }
+        };
+      }
+      
+      return {
+        name: placeObj.name,
+        coords: [geoData.lat, geoData.lon],
+        region: region || geoData.region || null,
+        geocode: {
+          status: getGeocodeStatus(geoData),
+          confidence: geoData.confidence,
+          source: geoData.source,
+          candidates: geoData.candidates || []
+        }
+      };
+    };
+
+    if (Array.isArray(placeData)) {
+      const processedPlaces = [];
+      for (const place of placeData) {
+        const processed = await processPlace(place);
+        if (processed) processedPlaces.push(processed);
+      }
+      geocodedPlaces[type] = processedPlaces.length ? processedPlaces : null;
+    } else {
+      geocodedPlaces[type] = await processPlace(placeData);
+    }
+  }
+  
+  return geocodedPlaces;
+}
+
+/**
+ * Escape a string for literal use inside a RegExp
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex matching any of the given spellings as a whole term, so "Dvaita" does not
+ * match "Advaita" and "Nath" does not match "Vishwanath"
+ */
+function variantsRegExp(variants) {
+  return new RegExp(`(^|[\\s,;/(-])(${variants.map(escapeRegExp).join('|')})($|[\\s,;/)-])`, 'i');
+}
+
+/**
+ * Facet query parameters and the MongoDB condition each single value maps to
+ * Tradition, language and saint match any spelling known to the alias registry;
+ * a tradition from the taxonomy also matches all of its sub-schools and lineages
+ */
+const FILTER_CONDITIONS = {
+  saint: value => ({ saint: variantsRegExp(aliasRegistry.variants('saint', value)) }),
+  tradition: value => ({ tradition: variantsRegExp(getTraditionFilterVariants(value)) }),
+  language: value => ({ language: variantsRegExp(aliasRegistry.variants('language', value)) }),
+  period: value => ({ period: variantsRegExp([value]) }),
+  school: value => ({ school: variantsRegExp([value]) }),
+  traditionType: value => ({ traditionType: value }),
+  gender: value => ({ gender: value }),
+  // Records without the flag count as not Sufi
+  sufi: value => (['true', 'yes', '1'].includes(value.toLowerCase()) ? { sufi: true } : { sufi: { $ne: true } }),
+  century: value => {
+    const range = getCenturyRange(parseInt(value, 10));
+    return range ? { 'dates.start.year': { $gte: range.start, $lte: range.end } } : null;
+  }
+};
+
+/**
+ * Split a facet parameter into included and excluded values
+ * Accepts a single value, repeated parameters or param[]; a leading "!" excludes the value
+ */
+function parseFilterValues(value) {
+  const include = [];
+  const exclude = [];
+  
+  (Array.isArray(value) ? value : [value]).forEach(item => {
+    if (item === undefined || item === null || typeof item === 'object') return;
+    const text = String(item).trim();
+    if (text.startsWith('!')) {
+      if (text.slice(1).trim()) exclude.push(text.slice(1).trim());
+    } else if (text) {
+      include.push(text);
+    }
+  });
+  
+  return { include, exclude };
+}
+
+/**
+ * Build the MongoDB filter for the public record endpoints from query parameters
+ * Shared by /api/traditions and /api/saints; free-text `search` is resolved
+ * against the search index separately (see searchIndex)
+ *
+ * Facets combine with AND. Within a facet, values combine with OR, or with AND
+ * when `<facet>Mode=all`; "!value" excludes. For example
+ * ?language=Tamil&language=Kannada&gender=Female&sufi=false
+ */
+function buildTraditionsFilter(query = {}) {
+  const { startYearMin, startYearMax } = query;
+  
+  const filter = { ...PUBLIC_FILTER };
+  const clauses = [];
+  
+  Object.entries(FILTER_CONDITIONS).forEach(([param, toCondition]) => {
+    const { include, exclude } = parseFilterValues(query[param]);
+    const included = include.map(toCondition).filter(Boolean);
+    const excluded = exclude.map(toCondition).filter(Boolean);
+    
+    if (included.length === 1) {
+      clauses.push(included[0]);
+    } else if (included.length > 1) {
+      clauses.push(query[`${param}Mode`] === 'all' ? { $and: included } : { $or: included });
+    }
+    if (excluded.length > 0) clauses.push({ $nor: excluded });
+  });
+  
+  // Year range filtering on the normalized start year (see parseHistoricalYear)
+  if (startYearMin || startYearMax) {
+    const range = {};
+    const minYear = parseInt(startYearMin, 10);
+    const maxYear = parseInt(startYearMax, 10);
+    
+    if (!isNaN(minYear)) range.$gte = minYear;
+    if (!isNaN(maxYear)) range.$lte = maxYear;
+    
+    if (Object.keys(range).length > 0) {
+      clauses.push({ 'dates.start.year': range });
+    }
+  }
+  
+  if (clauses.length > 0) filter.$and = clauses;
+  
+  return filter;
+}
+
+/**
+ * Century of a year: 1201-1300 is 13, 100-1 BCE is -1
+ */
+function getCentury(year) {
+  if (typeof year !== 'number' || isNaN(year) || year === 0) return null;
+  return year > 0 ? Math.ceil(year / 100) : Math.floor(year / 100);
+}
+
+/**
+ * First and last year of a century as returned by getCentury
+ */
+function getCenturyRange(century) {
+  if (!Number.isInteger(century) || century === 0) return null;
+  return century > 0
+    ? { start: (century - 1) * 100 + 1, end: century * 100 }
+    : { start: century * 100, end: (century + 1) * 100 - 1 };
+}
+
+/**
+ * Facets counted by /api/filter-options: the query parameter each one filters on,
+ * and the values a record contributes (compound strings are split as for the option lists)
+ */
+const FILTER_FACETS = {
+  saints: { param: 'saint', values: doc => [aliasRegistry.canonicalize('saint', doc.saint) || doc.saint] },
+  traditions: { param: 'tradition', values: doc => parseTraditionValue(doc.tradition) },
+  traditionTypes: { param: 'traditionType', values: doc => [doc.traditionType] },
+  genders: { param: 'gender', values: doc => [doc.gender] },
+  languages: { param: 'language', values: doc => parseLanguageValue(doc.language) },
+  periods: { param: 'period', values: doc => [doc.period] },
+  schools: { param: 'school', values: doc => [doc.school] },
+  sufi: { param: 'sufi', values: doc => [doc.sufi ? 'true' : 'false'] },
+  centuries: { param: 'century', values: doc => [getCentury(doc.dates?.start?.year)] }
+};
+
+const FACET_PROJECTION = {
+  saint: 1, tradition: 1, traditionType: 1, gender: 1, language: 1, period: 1, school: 1, sufi: 1, 'dates.start.year': 1
+};
+
+/**
+ * Count the saints per facet value
+ * @returns {Object} value -> number of records
+ */
+function countFacetValues(docs, facet) {
+  const counts = {};
+  docs.forEach(doc => {
+    new Set(FILTER_FACETS[facet].values(doc).filter(value => value !== null && value !== undefined && value !== ''))
+      .forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+  });
+  return counts;
+}
+
+/**
+ * Pagination, sorting and projection settings for /api/saints
+ */
+const SAINTS_DEFAULT_LIMIT = 50;
+const SAINTS_MAX_LIMIT = 200;
+const SAINT_SORT_FIELDS = ['saint', 'tradition', 'traditionType', 'startYear', 'endYear', 'contributedAt', 'updatedAt'];
+const SAINT_SORT_PATHS = { startYear: 'dates.start.year', endYear: 'dates.end.year' };
+const SAINT_PROJECTION_FIELDS = [...REVISION_FIELDS, 'dates', 'contributedAt', 'updatedAt'];
+
+/**
+ * Parse page/limit, sort and fields query parameters for /api/saints
+ * sort accepts a comma list with "-" for descending, e.g. "-startYear,saint"
+ */
+function parseSaintListOptions(query = {}) {
+  const errors = [];
+  
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(SAINTS_MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || SAINTS_DEFAULT_LIMIT));
+  
+  const sort = {};
+  String(query.sort || 'saint').split(',').map(s => s.trim()).filter(Boolean).forEach(key => {
+    const field = key.replace(/^-/, '');
+    if (!SAINT_SORT_FIELDS.includes(field)) {
+      errors.push(`Cannot sort by "${field}"`);
+      return;
+    }
+    sort[SAINT_SORT_PATHS[field] || field] = key.startsWith('-') ? -1 : 1;
+  });
+  sort._id = 1; // Tie-breaker keeps pages stable
+  
+  let projection = null;
+  if (query.fields) {
+    const fields = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+    fields.filter(f => !SAINT_PROJECTION_FIELDS.includes(f)).forEach(f => errors.push(`Unknown field "${f}"`));
+    projection = Object.fromEntries(fields.filter(f => SAINT_PROJECTION_FIELDS.includes(f)).map(f => [f, 1]));
+  }
+  
+  return { page, limit, sort, projection, errors };
+}
+
+/**
+ * Shape a tradition document as a saint resource with a stable string id
+ */
+function toSaintResource(doc) {
+  const { _id, status, contributionId, ...fields } = doc;
+  return { id: _id.toString(), ...fields };
+}
+
+/**
+ * Convert tradition document to map markers
+ * Marker ids are derived from the record id, place type and index so they stay stable
+ */
+function convertToMapMarkers(doc) {
+  const markers = [];
+  if (!doc?.places || typeof doc.places !== 'object') return markers;
+
+  const createMarker = (place, type, index = 0) => {
+    if (!place?.coords || place.coords.length !== 2) return;
+    
+    markers.push({
+      id: `${doc._id}_${type}_${index}`,
+      name: place.name,
+      coords: place.coords,
+      region: place.region || null,
+      type: type,
+      saint: doc.saint,
+      tradition: doc.tradition,
+      traditionType: doc.traditionType,
+      gender: doc.gender,
+      period: doc.period,
+      startYear: doc.startYear,
+      endYear: doc.endYear,
+      dates: doc.dates || null,
+      language: doc.language,
+      philosophy: doc.philosophy,
+      texts: doc.texts || [],
+      presidingDeity: doc.presidingDeity || null,
+      saintId: doc._id ? doc._id.toString() : null,
+      popup: `${place.name} — ${type} of ${doc.saint}`,
+      updatedAt: doc.updatedAt || null,
+      fullData: doc
+    });
+  };
+
+  for (const [type, placeData] of Object.entries(doc.places)) {
+    if (!placeData) continue;
+    if (Array.isArray(placeData)) {
+      placeData.forEach((place, index) => createMarker(place, type, index));
+    } else {
+      createMarker(placeData, type);
+    }
+  }
+
+  return markers;
+}
+
+// ========================================
+// SEARCH
+// ========================================
+
+/**
+ * Searchable fields and their ranking weights
+ * Place names are indexed under the pseudo-field 'places'
+ */
+const SEARCH_FIELD_WEIGHTS = {
+  saint: 5,
+  tradition: 3,
+  school: 2,
+  presidingDeity: 2,
+  texts: 2,
+  places: 1.5,
+  philosophy: 1,
+  language: 1,
+  period: 1,
+  traditionType: 1
+};
+
+const SEARCH_STOPWORDS = new Set(['a', 'an', 'and', 'of', 'the', 'in', 'on', 'to', 'for', 'by', 'with']);
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+const SEARCH_SNIPPET_LENGTH = 160;
+const SUGGEST_DEFAULT_LIMIT = 5; // per group
+const SUGGEST_MAX_LIMIT = 10;
+const SEARCH_INDEX_TTL_MS = 60 * 1000; // picks up writes made outside this process (e.g. the import CLI)
+
+/**
+ * Reduce a word to a transliteration-neutral key so that IAST and the common
+ * ASCII spellings collide: Jñāneśvar / Jnaneshwar -> jnanesvar, Kṛṣṇa / Krishna -> krsn
+ */
+function transliterationKey(word) {
+  return foldDiacritics(word)
+    .replace(/\s+/g, '')
+    .replace(/ksh/g, 'ks')
+    .replace(/sh/g, 's')
+    .replace(/ch/g, 'c')
+    .replace(/w/g, 'v')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/ri/g, 'r')
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/^(.{3,})a$/, '$1'); // Ramananda / Ramanand
+}
+
+/**
+ * Split text into search keys, dropping stopwords
+ */
+function searchTokens(text) {
+  return foldDiacritics(text)
+    .split(' ')
+    .filter(word => word && !SEARCH_STOPWORDS.has(word))
+    .map(transliterationKey)
+    .filter(Boolean);
+}
+
+/**
+ * Collect the searchable text of a record by field
+ */
+function getSearchableFields(doc) {
+  const fields = {};
+  Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+    if (field === 'places') return;
+    const value = doc[field];
+    const text = Array.isArray(value) ? value.filter(Boolean).join(', ') : value;
+    if (text) fields[field] = String(text);
+  });
+  
+  const placeNames = Object.values(doc.places || {})
+    .flatMap(place => (Array.isArray(place) ? place : [place]))
+    .map(place => place?.name)
+    .filter(Boolean);
+  if (placeNames.length > 0) fields.places = [...new Set(placeNames)].join(', ');
+  
+  return fields;
+}
+
+/**
+ * Damerau-Levenshtein distance (adjacent transpositions), giving up once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Typos allowed for a query key of the given length
+ */
+function allowedTypos(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Escape text for inclusion in an HTML snippet
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build an HTML snippet of text with the words whose keys are in `terms` wrapped in <mark>
+ * Long text is cut to a window around the first match
+ */
+function highlightSnippet(text, terms, maxLength = SEARCH_SNIPPET_LENGTH) {
+  const source = String(text);
+  const ranges = [];
+  for (const match of source.matchAll(/[\p{L}\p{M}\p{N}]+/gu)) {
+    if (searchTokens(match[0]).some(key => terms.has(key))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  if (ranges.length === 0) return null;
+  
+  let start = 0;
+  let end = source.length;
+  if (source.length > maxLength) {
+    start = Math.max(0, ranges[0][0] - Math.floor(maxLength / 3));
+    if (start > 0) start = source.indexOf(' ', start) + 1 || start;
+    end = Math.min(source.length, start + maxLength);
+    if (end < source.length) end = source.lastIndexOf(' ', end) > ranges[0][1] ? source.lastIndexOf(' ', end) : end;
+  }
+  
+  let html = start > 0 ? '…' : '';
+  let cursor = start;
+  ranges
+    .filter(([from, to]) => from >= start && to <= end)
+    .forEach(([from, to]) => {
+      html += `${escapeHtml(source.slice(cursor, from))}<mark>${escapeHtml(source.slice(from, to))}</mark>`;
+      cursor = to;
+    });
+  html += escapeHtml(source.slice(cursor, end));
+  if (end < source.length) html += '…';
+  
+  return html;
+}
+
+/**
+ * In-process inverted index over the published records, plus their profile slugs
+ * Rebuilt lazily after invalidate() or once SEARCH_INDEX_TTL_MS has passed; `.collection` is set in startServer
+ */
+const searchIndex = {
+  collection: null,
+  builtAt: 0,
+  building: null,
+  documents: new Map(), // id -> { doc, fields }
+  postings: new Map(),  // key -> Map(id -> { weight, fields:Set })
+  slugs: new Map(),     // id -> profile slug, from assignSaintSlugs
+  
+  invalidate() {
+    this.builtAt = 0;
+  },
+  
+  async ensure() {
+    if (Date.now() - this.builtAt < SEARCH_INDEX_TTL_MS) return;
+    if (!this.building) {
+      this.building = this.build().finally(() => { this.building = null; });
+    }
+    await this.building;
+  },
+  
+  async build() {
+    const startedAt = Date.now();
+    const docs = this.collection ? await this.collection.find(PUBLIC_FILTER).toArray() : [];
+    const documents = new Map();
+    const postings = new Map();
+    
+    docs.forEach(doc => {
+      const id = doc._id.toString();
+      const fields = getSearchableFields(doc);
+      documents.set(id, { doc, fields });
+      
+      Object.entries(fields).forEach(([field, text]) => {
+        searchTokens(text).forEach(key => {
+          if (!postings.has(key)) postings.set(key, new Map());
+          const entry = postings.get(key).get(id) || { weight: 0, fields: new Set() };
+          entry.weight = Math.max(entry.weight, SEARCH_FIELD_WEIGHTS[field]);
+          entry.fields.add(field);
+          postings.get(key).set(id, entry);
+        });
+      });
+    });
+    
+    this.documents = documents;
+    this.postings = postings;
+    this.slugs = assignSaintSlugs(docs);
+    this.builtAt = Date.now();
+    console.log(`🔎 Search index built: ${documents.size} records, ${postings.size} terms in ${this.builtAt - startedAt}ms`);
+  },
+  
+  /**
+   * Index keys matching a query key, with a match quality in (0, 1]
+   * Exact keys score 1, prefixes of the last query word 0.8, typos 0.75/0.5
+   */
+  matchKeys(queryKey, allowPrefix) {
+    const matches = new Map();
+    const maxTypos = allowedTypos(queryKey.length);
+    
+    for (const key of this.postings.keys()) {
+      if (key === queryKey) {
+        matches.set(key, 1);
+      } else if (allowPrefix && queryKey.length >= 2 && key.startsWith(queryKey)) {
+        matches.set(key, 0.8);
+      } else if (maxTypos > 0) {
+        const distance = editDistance(queryKey, key, maxTypos);
+        if (distance <= maxTypos) matches.set(key, 1 - distance * 0.25);
+      }
+    }
+    
+    return matches;
+  },
+  
+  /**
+   * Rank the published records against a free-text query
+   * Every query word must match; the last one may be a prefix (search-as-you-type)
+   * @returns {Array} [{ id, doc, score, terms, matchedFields, highlights }] best first
+   */
+  async search(query) {
+    await this.ensure();
+    
+    const queryKeys = [...new Set(searchTokens(query))];
+    if (queryKeys.length === 0) return [];
+    
+    const total = this.documents.size;
+    let scores = null;
+    const matchedTerms = new Map(); // id -> Set of index keys
+    
+    queryKeys.forEach((queryKey, position) => {
+      const tokenScores = new Map();
+      const keyMatches = this.matchKeys(queryKey, position === queryKeys.length - 1);
+      
+      keyMatches.forEach((quality, key) => {
+        const docs = this.postings.get(key);
+        const idf = Math.log(1 + total / docs.size);
+        docs.forEach(({ weight }, id) => {
+          if (scores && !scores.has(id)) return;
+          const score = quality * weight * idf;
+          if (score > (tokenScores.get(id) || 0)) tokenScores.set(id, score);
+          if (!matchedTerms.has(id)) matchedTerms.set(id, new Set());
+          matchedTerms.get(id).add(key);
+        });
+      });
+      
+      scores = new Map([...tokenScores].map(([id, score]) => [id, (scores?.get(id) || 0) + score]));
+    });
+    
+    const phrase = queryKeys.join(' ');
+    
+    return [...scores]
+      .map(([id, score]) => {
+        const { doc, fields } = this.documents.get(id);
+        const terms = matchedTerms.get(id);
+        const highlights = {};
+        Object.entries(fields).forEach(([field, text]) => {
+          const snippet = highlightSnippet(text, terms);
+          if (snippet) highlights[field] = snippet;
+        });
+        
+        // Whole-query match on the saint's name ranks above scattered matches
+        if (searchTokens(doc.saint).join(' ').includes(phrase)) score *= 1.5;
+        
+        return {
+          id,
+          doc,
+          score: Math.round(score * 1000) / 1000,
+          terms,
+          matchedFields: Object.keys(highlights),
+          highlights
+        };
+      })
+      .sort((a, b) => b.score - a.score || String(a.doc.saint).localeCompare(String(b.doc.saint)));
+  },
+  
+  /**
+   * Grouped autocomplete for the omnibox: saints, places, traditions and texts
+   * Places and traditions are merged across saints; place entries carry the
+   * marker ids produced by convertToMapMarkers so the map can fly to them
+   */
+  async suggest(query, limit = SUGGEST_DEFAULT_LIMIT) {
+    const groups = { saints: [], places: [], traditions: [], texts: [] };
+    const places = new Map();
+    const traditions = new Map();
+    
+    (await this.search(query)).forEach(({ id, doc, terms }) => {
+      const saintHtml = highlightSnippet(doc.saint, terms);
+      if (saintHtml) {
+        groups.saints.push({ id, label: doc.saint, html: saintHtml, detail: doc.tradition || null });
+      }
+      
+      Object.entries(doc.places || {}).forEach(([type, placeData]) => {
+        (Array.isArray(placeData) ? placeData : [placeData]).forEach((place, index) => {
+          if (!place?.name || !place.coords) return;
+          const html = highlightSnippet(place.name, terms);
+          if (!html) return;
+          
+          const key = foldDiacritics(place.name);
+          if (!places.has(key)) {
+            places.set(key, { label: place.name, html, detail: place.region || null, markerIds: [], saintIds: [] });
+          }
+          const entry = places.get(key);
+          entry.markerIds.push(`${id}_${type}_${index}`);
+          if (!entry.saintIds.includes(id)) entry.saintIds.push(id);
+        });
+      });
+      
+      const traditionHtml = doc.tradition && highlightSnippet(doc.tradition, terms);
+      if (traditionHtml) {
+        const key = foldDiacritics(doc.tradition);
+        if (!traditions.has(key)) traditions.set(key, { label: doc.tradition, html: traditionHtml, saintIds: [] });
+        traditions.get(key).saintIds.push(id);
+      }
+      
+      (Array.isArray(doc.texts) ? doc.texts : [doc.texts]).filter(Boolean).forEach(text => {
+        const html = highlightSnippet(text, terms);
+        if (html) groups.texts.push({ label: text, html, detail: doc.saint, saintId: id });
+      });
+    });
+    
+    groups.places = [...places.values()];
+    groups.traditions = [...traditions.values()].map(entry => ({ ...entry, detail: `${entry.saintIds.length} saint${entry.saintIds.length !== 1 ? 's' : ''}` }));
+    Object.keys(groups).forEach(group => { groups[group] = groups[group].slice(0, limit); });
+    
+    return groups;
+  }
+};
+
+// ========================================
+// DATA EXPORT
+// ========================================
+
+/**
+ * KML icon colours per place type (aabbggrr, matching the map markers)
+ */
+const KML_PLACE_COLORS = {
+  birth: 'ff3c4ce7', death: 'ff8d8c7f', enlightenment: 'ff129cf3',
+  samadhi: 'ffb6599b', temple: 'ffdb9834', influence: 'ff60ae27'
+};
+
+const EXPORT_CSV_COLUMNS = [
+  'saintId', 'saint', 'tradition', 'traditionType', 'placeType', 'placeName', 'lat', 'lon',
+  'region', 'startYear', 'endYear', 'gender', 'language'
+];
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeCsv(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeBibtex(value) {
+  return String(value ?? '').replace(/([{}%&$#_])/g, '\\$1');
+}
+
+/**
+ * Flatten a marker into the fields shared by the tabular formats
+ */
+function toExportRow(marker) {
+  return {
+    saintId: marker.saintId,
+    saint: marker.saint,
+    tradition: marker.tradition,
+    traditionType: marker.traditionType,
+    placeType: marker.type,
+    placeName: marker.name,
+    lat: marker.coords[0],
+    lon: marker.coords[1],
+    region: marker.region ?? '',
+    startYear: marker.startYear,
+    endYear: marker.endYear,
+    gender: marker.gender,
+    language: marker.language
+  };
+}
+
+/**
+ * A record's editable fields and places under the names the importer reads,
+ * so a GeoJSON export imports again; every feature carries its whole saint and
+ * the importer keeps the first feature per saint as the others are duplicates
+ */
+function toImportColumns(doc) {
+  return {
+    ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, doc[field] ?? null])),
+    places: doc.places
+  };
+}
+
+/**
+ * Export formats: content type, file extension and writers for the header,
+ * each tradition document (with its markers) and the footer.
+ * Writers share a context of { baseUrl, count, keys } for the whole export.
+ */
+const EXPORT_FORMATS = {
+  geojson: {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+    header: () => '{"type":"FeatureCollection","features":[\n',
+    record: (doc, markers, context) => {
+      const columns = toImportColumns(doc);
+      return markers.map(marker => {
+        const { lat, lon, ...properties } = toExportRow(marker);
+        const feature = {
+          type: 'Feature',
+          id: marker.id,
+          geometry: { type: 'Point', coordinates: [lon, lat] },
+          properties: { ...properties, ...columns, dates: marker.dates }
+        };
+        return `${context.count++ > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+      }).join('');
+    },
+    footer: () => '\n]}\n'
+  },
+  
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+    header: () => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '<Document>',
+      '<name>Bhakti Tradition Map</name>',
+      ...Object.entries(KML_PLACE_COLORS).map(([type, color]) =>
+        `<Style id="${type}"><IconStyle><color>${color}</color></IconStyle></Style>`),
+      ''
+    ].join('\n'),
+    record: (doc, markers) => markers.map(marker => {
+      const row = toExportRow(marker);
+      const data = Object.entries(row)
+        .filter(([key]) => !['lat', 'lon'].includes(key))
+        .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+      return [
+        '<Placemark>',
+        `<name>${escapeXml(`${marker.name} (${marker.saint})`)}</name>`,
+        `<description>${escapeXml(marker.popup)}</description>`,
+        `<styleUrl>#${escapeXml(marker.type)}</styleUrl>`,
+        `<ExtendedData>${data}</ExtendedData>`,
+        `<Point><coordinates>${row.lon},${row.lat}</coordinates></Point>`,
+        '</Placemark>',
+        ''
+      ].join('\n');
+    }).join(''),
+    footer: () => '</Document>\n</kml>\n'
+  },
+  
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `${EXPORT_CSV_COLUMNS.join(',')}\n`,
+    record: (doc, markers) => markers.map(marker => {
+      const row = toExportRow(marker);
+      return `${EXPORT_CSV_COLUMNS.map(column => escapeCsv(row[column])).join(',')}\n`;
+    }).join(''),
+    footer: () => ''
+  },
+  
+  // Citation bundle: one @misc entry per saint plus one for the dataset itself
+  bibtex: {
+    contentType: 'application/x-bibtex; charset=utf-8',
+    extension: 'bib',
+    header: ({ baseUrl }) => [
+      '@misc{bhaktitraditionmap,',
+      '  title = {Bhakti Tradition Map: Sacred Places and Saints of the Indian Subcontinent},',
+      `  howpublished = {\\url{${baseUrl}}},`,
+      `  note = {Accessed ${new Date().toISOString().slice(0, 10)}}`,
+      '}',
+      '',
+      ''
+    ].join('\n'),
+    record: (doc, markers, { baseUrl, keys }) => {
+      if (markers.length === 0) return '';
+      // Saints sharing a name and start year get a letter suffix (kabir1440, kabir1440a, ...)
+      const base = `${foldDiacritics(doc.saint).replace(/\s+/g, '')}${doc.dates?.start?.year ?? ''}` || String(doc._id);
+      let key = base;
+      for (let n = 0; keys.has(key); n++) {
+        key = n < 26 ? `${base}${String.fromCharCode(97 + n)}` : `${base}-${doc._id}`;
+      }
+      keys.add(key);
+      const places = markers.map(m => `${m.name} (${m.type})`).join('; ');
+      return [
+        `@misc{${key},`,
+        `  title = {${escapeBibtex(doc.saint)}},`,
+        `  note = {${escapeBibtex([doc.tradition, doc.period, doc.language].filter(Boolean).join('; '))}},`,
+        `  keywords = {${escapeBibtex((doc.texts || []).join(', '))}},`,
+        `  annote = {${escapeBibtex(places)}},`,
+        `  howpublished = {\\url{${baseUrl}/api/saints/${doc._id}}},`,
+        `  year = {${escapeBibtex(doc.startYear)}}`,
+        '}',
+        '',
+        ''
+      ].join('\n');
+    },
+    footer: () => ''
+  }
+};
+
+// ========================================
+// SAINT PROFILES
+// ========================================
+
+/**
+ * URL slug for a saint name: "Sant Jñāneśvar" -> "sant-jnanesvar"
+ */
+function saintSlug(name) {
+  return foldDiacritics(name).replace(/\s+/g, '-') || 'saint';
+}
+
+/**
+ * Slugs for a set of records; names shared by several saints get a short id suffix so every slug is unique
+ * @returns {Map} record id -> slug
+ */
+function assignSaintSlugs(docs) {
+  const byBase = new Map();
+  docs.forEach(doc => {
+    const base = saintSlug(doc.saint);
+    byBase.set(base, [...(byBase.get(base) || []), doc._id.toString()]);
+  });
+  
+  const slugs = new Map();
+  byBase.forEach((ids, base) => {
+    ids.forEach(id => slugs.set(id, ids.length === 1 ? base : `${base}-${id.slice(-6)}`));
+  });
+  return slugs;
+}
+
+/**
+ * Resolve a saint reference - record id, profile slug or the slug of an alternative spelling - to a record id
+ * @param {string} ref - Lower-case id or slug
+ * @param {Map} slugs - Record id -> slug, from assignSaintSlugs
+ * @returns {string|null} Record id, or null when no published saint matches
+ */
+function resolveSaintRef(ref, slugs) {
+  const bySlug = new Map([...slugs.entries()].map(([id, slug]) => [slug, id]));
+  const canonical = aliasRegistry.canonicalize('saint', ref.replace(/-/g, ' '));
+  const id = parseObjectId(ref)?.toString() ||
+    bySlug.get(ref) ||
+    (canonical && bySlug.get(saintSlug(canonical)));
+  return id && slugs.has(id) ? id : null;
+}
+
+/**
+ * How a related saint stands to the profiled saint, read from either side of the stored edge
+ */
+const PROFILE_RELATION_LABELS = {
+  related: {
+    guru: 'Guru',
+    disciple: 'Disciple',
+    'influenced-by': 'Influence',
+    contemporary: 'Contemporary',
+    'sampradaya-founder': 'Sampradaya founder'
+  },
+  saint: {
+    guru: 'Disciple',
+    disciple: 'Guru',
+    'influenced-by': 'Influenced',
+    contemporary: 'Contemporary',
+    'sampradaya-founder': 'Sampradaya follower'
+  }
+};
+
+/**
+ * Full public profile of a saint: every field, all places, related saints and edit history
+ * @param {Object} doc - Tradition record
+ * @param {Object} context - { slugs, relationships, relatedDocs, revisions }
+ */
+function buildSaintProfile(doc, { slugs, relationships, relatedDocs, revisions }) {
+  const id = doc._id.toString();
+  const slug = slugs.get(id) || saintSlug(doc.saint);
+  const names = new Map(relatedDocs.map(related => [related._id.toString(), related.saint]));
+  
+  const related = relationships
+    .map(relationship => {
+      const isSaint = relationship.saintId.toString() === id;
+      const otherId = (isSaint ? relationship.relatedSaintId : relationship.saintId).toString();
+      if (!names.has(otherId)) return null;
+      return {
+        id: otherId,
+        slug: slugs.get(otherId) || saintSlug(names.get(otherId)),
+        saint: names.get(otherId),
+        type: relationship.type,
+        role: PROFILE_RELATION_LABELS[isSaint ? 'related' : 'saint'][relationship.type] || relationship.type
+      };
+    })
+    .filter(Boolean);
+  
+  return {
+    id,
+    slug,
+    url: `/saint/${slug}`,
+    saint: doc.saint,
+    tradition: doc.tradition,
+    school: doc.school || null,
+    traditionType: doc.traditionType || null,
+    period: doc.period || null,
+    startYear: doc.startYear || null,
+    endYear: doc.endYear || null,
+    dates: doc.dates || null,
+    gender: doc.gender || null,
+    language: doc.language || null,
+    presidingDeity: doc.presidingDeity || null,
+    sufi: Boolean(doc.sufi),
+    philosophy: doc.philosophy || null,
+    birthPlace: doc.birthPlace || null,
+    deathPlace: doc.deathPlace || null,
+    texts: doc.texts || [],
+    sources: doc.sources || [],
+    places: convertToMapMarkers(doc).map(({ id: markerId, name, type, coords, region }) => ({ id: markerId, name, type, coords, region })),
+    related,
+    history: revisions.map(revision => ({
+      version: revision.version,
+      action: revision.action,
+      changedAt: revision.changedAt,
+      fields: (revision.diff || []).map(change => change.field)
+    })),
+    contributedAt: doc.contributedAt || null,
+    updatedAt: doc.updatedAt || null
+  };
+}
+
+/**
+ * One-line summary of a profile for link previews
+ */
+function describeSaintProfile(profile) {
+  const years = [profile.startYear, profile.endYear].filter(Boolean).join('–');
+  const lead = [profile.saint, years && `(${years})`].filter(Boolean).join(' ');
+  const summary = [profile.tradition, profile.language].filter(Boolean).join(', ');
+  const philosophy = profile.philosophy ? ` ${profile.philosophy}` : '';
+  const text = `${lead}${summary ? ` - ${summary}.` : '.'}${philosophy}`;
+  return text.length > 200 ? `${text.slice(0, 197).trimEnd()}...` : text;
+}
+
+/**
+ * Origin for absolute links: PUBLIC_BASE_URL, else the request's own (client-controlled) host
+ */
+function getBaseUrl(req) {
+  return PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Put a profile's title, Open Graph/Twitter tags and a root <base> into the SPA shell
+ * The <base> keeps the shell's relative asset paths working under /saint/
+ */
+function renderProfileHead(html, profile, url) {
+  const title = `${profile.saint} - Bhakti Tradition Map`;
+  const description = describeSaintProfile(profile);
+  const meta = [
+    ['property', 'og:type', 'profile'],
+    ['property', 'og:site_name', 'Bhakti Tradition Map'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['name', 'twitter:card', 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description]
+  ].map(([attribute, key, value]) => `    <meta ${attribute}="${key}" content="${escapeHtml(value)}">`);
+  
+  // Replacement callbacks so "$" in saint data is never read as a replacement pattern
+  return html
+    .replace(/<head>/i, '<head>\n    <base href="/">')
+    .replace(/<title>[^<]*<\/title>/i, () => `<title>${escapeHtml(title)}</title>`)
+    .replace(/<meta name="description" content="[^"]*">/i, () => `<meta name="description" content="${escapeHtml(description)}">`)
+    .replace(/<\/head>/i, () => `${meta.join('\n')}\n    <link rel="canonical" href="${escapeHtml(url)}">\n</head>`);
+}
+
+// ========================================
+// BULK IMPORT
+// ========================================
+
+const IMPORT_FORMATS = ['csv', 'json', 'geojson'];
+
+/**
+ * Column aliases accepted by the importer, keyed by folded header name
+ * ("Birth Place", "birth_place" and "birthplace" all map to birthPlace)
+ */
+const IMPORT_COLUMN_ALIASES = {
+  saint: 'saint', name: 'saint', saintname: 'saint',
+  tradition: 'tradition', sampradaya: 'tradition',
+  period: 'period',
+  startyear: 'startYear', born: 'startYear', birthyear: 'startYear',
+  endyear: 'endYear', died: 'endYear', deathyear: 'endYear',
+  traditiontype: 'traditionType', type: 'traditionType',
+  school: 'school', subtradition: 'school',
+  presidingdeity: 'presidingDeity', deity: 'presidingDeity',
+  sufi: 'sufi',
+  gender: 'gender',
+  language: 'language', languages: 'language',
+  texts: 'texts', works: 'texts', references: 'texts',
+  sources: 'sources', source: 'sources', citations: 'sources', bibliography: 'sources',
+  philosophy: 'philosophy', teachings: 'philosophy',
+  birthplace: 'birthPlace', deathplace: 'deathPlace',
+  enlightenmentplace: 'enlightenmentPlace', samadhiplace: 'samadhiPlace',
+  temples: 'templePlaces', templeplaces: 'templePlaces',
+  influenceareas: 'influenceAreas', influence: 'influenceAreas',
+  birthlat: 'birthLat', birthlatitude: 'birthLat',
+  birthlon: 'birthLon', birthlng: 'birthLon', birthlongitude: 'birthLon'
+};
+
+/**
+ * Parse CSV text into row objects keyed by header
+ * Supports quoted fields with embedded commas, newlines and doubled quotes
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, ''); // Strip a UTF-8 byte order mark
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  const nonEmpty = rows.filter(r => r.some(value => value.trim()));
+  if (nonEmpty.length === 0) return [];
+  
+  const [headers, ...records] = nonEmpty;
+  return records.map(values => Object.fromEntries(headers.map((header, i) => [header.trim(), (values[i] || '').trim()])));
+}
+
+/**
+ * Parse an import payload into flat row objects
+ * GeoJSON point features become rows with the point as the birth place coordinates
+ */
+function parseImportData(data, format) {
+  if (format === 'csv') return parseCsv(data);
+  
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  
+  if (format === 'geojson') {
+    if (parsed?.type !== 'FeatureCollection' || !Array.isArray(parsed.features)) {
+      throw new Error('GeoJSON import must be a FeatureCollection');
+    }
+    return parsed.features.map(feature => {
+      const row = { ...(feature.properties || {}) };
+      if (feature.geometry?.type === 'Point' && Array.isArray(feature.geometry.coordinates)) {
+        const [lon, lat] = feature.geometry.coordinates;
+        row.birthLat = lat;
+        row.birthLon = lon;
+      }
+      return row;
+    });
+  }
+  
+  const rows = Array.isArray(parsed) ? parsed : parsed?.saints;
+  if (!Array.isArray(rows)) throw new Error('JSON import must be an array of saints or { "saints": [...] }');
+  return rows;
+}
+
+/**
+ * Guess the import format from a file name or content type
+ */
+function detectImportFormat(name = '') {
+  const lower = String(name).toLowerCase();
+  if (lower.endsWith('.csv') || lower.includes('text/csv')) return 'csv';
+  if (lower.endsWith('.geojson') || lower.includes('geo+json')) return 'geojson';
+  if (lower.endsWith('.json') || lower.includes('json')) return 'json';
+  return null;
+}
+
+/**
+ * Map an import row onto the contribution body shape checked by validateContributionBody
+ * List cells (texts, sources, temples, influence areas) are split on ";" or "|"
+ */
+function mapImportRow(row) {
+  const body = {};
+  
+  Object.entries(row || {}).forEach(([key, value]) => {
+    const field = IMPORT_COLUMN_ALIASES[foldDiacritics(key).replace(/\s+/g, '')] || key;
+    if (value === null || value === undefined || value === '') return;
+    body[field] = typeof value === 'number' && !['birthLat', 'birthLon'].includes(field) ? String(value) : value;
+  });
+  
+  const splitList = (value) => Array.isArray(value)
+    ? value
+    : String(value).split(/[;|]/).map(item => item.trim()).filter(Boolean);
+  
+  if (body.texts) body.texts = splitList(body.texts);
+  if (body.sources) body.sources = splitList(body.sources);
+  if (typeof body.sufi === 'string') body.sufi = ['true', 'yes', '1', 'y'].includes(body.sufi.toLowerCase());
+  
+  // Rows that already carry a places object (JSON exports) keep it
+  if (!body.places || typeof body.places !== 'object') {
+    const birthCoords = [parseFloat(body.birthLat), parseFloat(body.birthLon)];
+    const toPlace = (name) => name ? { name: String(name).trim() } : null;
+    const toPlaces = (value) => value ? splitList(value).map(toPlace) : null;
+    
+    body.places = {
+      birth: body.birthPlace
+        ? { name: String(body.birthPlace).trim(), ...(birthCoords.every(n => !isNaN(n)) ? { coords: birthCoords } : {}) }
+        : null,
+      death: toPlace(body.deathPlace),
+      enlightenment: toPlace(body.enlightenmentPlace),
+      samadhi: toPlace(body.samadhiPlace),
+      temple: toPlaces(body.templePlaces),
+      influence: toPlaces(body.influenceAreas)
+    };
+  }
+  
+  ['birthLat', 'birthLon', 'enlightenmentPlace', 'samadhiPlace', 'templePlaces', 'influenceAreas'].forEach(key => delete body[key]);
+  return body;
+}
+
+/**
+ * Duplicate key for a saint: folded name plus folded tradition
+ */
+function getDuplicateKey(record) {
+  return `${foldDiacritics(record.saint)}|${foldDiacritics(record.tradition)}`;
+}
+
+/**
+ * Validate, de-duplicate, geocode and insert import rows
+ * Imported records are published directly (imports are admin-only) and get a revision each.
+ * With dryRun nothing is written; rows report "valid" instead of "imported".
+ * Places that fail to geocode or need review are listed as row warnings.
+ */
+async function importRecords(rows, { traditionsCollection, revisionsCollection, dryRun = false, editor = 'import' }) {
+  const existing = await traditionsCollection.find({}, { projection: { saint: 1, tradition: 1 } }).toArray();
+  const seen = new Map(existing.map(doc => [getDuplicateKey(doc), doc._id.toString()]));
+  
+  const report = { total: rows.length, imported: 0, duplicates: 0, invalid: 0, dryRun, rows: [] };
+  
+  for (let i = 0; i < rows.length; i++) {
+    const rowNumber = i + 1;
+    let body;
+    
+    try {
+      body = mapImportRow(rows[i]);
+    } catch (error) {
+      report.invalid++;
+      report.rows.push({ row: rowNumber, status: 'invalid', errors: [error.message] });
+      continue;
+    }
+    
+    const errors = validateContributionBody(body);
+    if (errors.length > 0) {
+      report.invalid++;
+      report.rows.push({ row: rowNumber, saint: body.saint || null, status: 'invalid', errors });
+      continue;
+    }
+    
+    const key = getDuplicateKey(body);
+    if (seen.has(key)) {
+      report.duplicates++;
+      report.rows.push({ row: rowNumber, saint: body.saint, status: 'duplicate', duplicateOf: seen.get(key) });
+      continue;
+    }
+    
+    const places = await normalizeAndGeocodePlaces(body.places);
+    const warnings = findPlacesNeedingReview({ _id: '', saint: body.saint, places })
+      .map(({ placeType, place }) => `${placeType} place "${place.name}" is ${place.geocode?.status || 'unresolved'}`);
+    
+    if (dryRun) {
+      seen.set(key, `row ${rowNumber}`);
+      report.imported++;
+      report.rows.push({ row: rowNumber, saint: body.saint, status: 'valid', warnings });
+      continue;
+    }
+    
+    const now = new Date();
+    const record = {
+      ...buildTraditionDocument(body, places),
+      status: 'approved',
+      contributedAt: now,
+      updatedAt: now
+    };
+    
+    const result = await traditionsCollection.insertOne(record);
+    await recordRevision(revisionsCollection, result.insertedId, null, record, { action: 'import', changedBy: editor });
+    
+    seen.set(key, result.insertedId.toString());
+    report.imported++;
+    report.rows.push({ row: rowNumber, saint: record.saint, status: 'imported', id: result.insertedId.toString(), warnings });
+  }
+  
+  return report;
+}
+
+// ========================================
+// VIRTUAL TOURS
+// ========================================
+
+const TOUR_MAX_STEPS = 100;
+const TOUR_TEXT_LIMIT = 2000;
+const TOUR_MAX_DURATION = 600; // Seconds a step may hold the autoplay
+
+/**
+ * Media links in tour steps: absolute http(s) URLs or paths on this server
+ * @returns {string|null} Trimmed URL, or null when empty or not a link
+ */
+function parseMediaUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const url = value.trim();
+  return /^https?:\/\/\S+$/i.test(url) || /^\/[^/\s]\S*$/.test(url) ? url : null;
+}
+
+/**
+ * Validate one tour step; problems are pushed onto errors
+ * A step names the marker or saint it is about, and optionally the map view to show
+ */
+function parseTourStep(step, label, errors) {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+  
+  const text = (key) => (typeof step[key] === 'string' ? step[key].trim() : '');
+  const marker = text('marker');
+  const saint = text('saint').toLowerCase();
+  const narration = text('text');
+  
+  if (!marker && !saint) {
+    errors.push(`${label} must name a "marker" or a "saint"`);
+  }
+  if (marker && !/^[0-9a-f]{24}_[a-z]+_\d+$/.test(marker)) {
+    errors.push(`${label}.marker must be a marker id such as "<saint id>_birth_0"`);
+  }
+  if (!narration) {
+    errors.push(`${label}.text is required`);
+  } else if (narration.length > TOUR_TEXT_LIMIT) {
+    errors.push(`${label}.text must be at most ${TOUR_TEXT_LIMIT} characters`);
+  }
+  
+  let view = null;
+  if (step.view !== undefined && step.view !== null) {
+    const { center, zoom } = step.view;
+    const valid = Array.isArray(center) && center.length === 2 &&
+      center.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+      Math.abs(center[0]) <= 90 && Math.abs(center[1]) <= 180 &&
+      Number.isInteger(zoom) && zoom >= 1 && zoom <= 18;
+    if (valid) {
+      view = { center, zoom };
+    } else {
+      errors.push(`${label}.view must be { center: [lat, lng], zoom } with a zoom of 1-18`);
+    }
+  }
+  
+  const image = parseMediaUrl(step.image);
+  const audio = parseMediaUrl(step.audio);
+  if (step.image && !image) errors.push(`${label}.image must be an http(s) URL or a path on this server`);
+  if (step.audio && !audio) errors.push(`${label}.audio must be an http(s) URL or a path on this server`);
+  
+  let duration = null;
+  if (step.duration !== undefined && step.duration !== null) {
+    duration = Number(step.duration);
+    if (!Number.isFinite(duration) || duration < 1 || duration > TOUR_MAX_DURATION) {
+      errors.push(`${label}.duration must be between 1 and ${TOUR_MAX_DURATION} seconds`);
+    }
+  }
+  
+  return {
+    title: text('title'),
+    marker: marker || null,
+    saint: saint || null,
+    text: narration,
+    view,
+    image,
+    imageCaption: image ? text('imageCaption') : '',
+    audio,
+    duration
+  };
+}
+
+/**
+ * Validate a tour from a request body
+ * @returns {{ tour, errors }} tour is { title, description, steps }; saint references are resolved later
+ */
+function parseTour(body = {}) {
+  const errors = [];
+  const title = typeof body.title === 'string' ? body.title.trim() : '';
+  const description = typeof body.description === 'string' ? body.description.trim() : '';
+  
+  if (!title) {
+    errors.push('Field "title" is required and must be a non-empty string');
+  }
+  if (!Array.isArray(body.steps) || body.steps.length === 0) {
+    errors.push('Field "steps" must be a non-empty array');
+  } else if (body.steps.length > TOUR_MAX_STEPS) {
+    errors.push(`A tour has at most ${TOUR_MAX_STEPS} steps`);
+  }
+  
+  const steps = (Array.isArray(body.steps) ? body.steps.slice(0, TOUR_MAX_STEPS) : [])
+    .map((step, index) => parseTourStep(step, `steps[${index}]`, errors));
+  
+  return { tour: { title, description, steps }, errors };
+}
+
+/**
+ * Shape a stored tour for the API; summaries leave the steps out
+ */
+function toTourJson(doc, { summary = false } = {}) {
+  const { _id, steps, ...rest } = doc;
+  return {
+    id: _id.toString(),
+    ...rest,
+    stepCount: steps.length,
+    ...(summary ? {} : { steps })
+  };
+}
+
+// ========================================
+// SERVER INITIALIZATION
+// ========================================
+
+/**
+ * Create the MongoDB client (shared by the server and the import CLI)
+ */
+function createMongoClient() {
+  return new MongoClient(MONGODB_URI, {
+    tls: true,
+    serverSelectionTimeoutMS: 5000,
+    socketTimeoutMS: 45000,
+    connectTimeoutMS: 10000,
+    maxPoolSize: 10,
+    retryWrites: true,
+    w: 'majority'
+  });
+}
+
+async function startServer() {
+  const app = express();
+  
+  // Middleware
+  // Middleware - Allow Vercel frontend
+app.use(cors({ 
+  origin: [
+    'http://localhost:3000',
+    'http://localhost:5500',
+    'https://bhakti-tradition-map-vo8a.vercel.app',
+    'https://*.vercel.app'
+  ], 
+  credentials: false 
+}));
+  app.use(express.json({ limit: '10mb' }));
+  app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+  });
+
+  // ========================================
+  // STATIC FILE SERVING
+  // ========================================
+  
+  // Serve from frontend/ folder (primary)
+  const frontendPath = path.join(__dirname, 'frontend');
+  if (fs.existsSync(frontendPath)) {
+    app.use(express.static(frontendPath));
+    console.log(`📁 Serving static files from: ${frontendPath}`);
+  }
+  
+  // Also serve from root (fallback)
+  app.use(express.static(__dirname));
+
+  // ========================================
+  // DATABASE CONNECTION
+  // ========================================
+  
+  const client = createMongoClient();
+  
+  await client.connect();
+  const db = client.db(DB_NAME);
+  const traditionsCollection = db.collection(COLLECTION);
+  const contributionsCollection = db.collection(PENDING_COLLECTION);
+  const revisionsCollection = db.collection(REVISIONS_COLLECTION);
+  const relationshipsCollection = db.collection(RELATIONSHIPS_COLLECTION);
+  const toursCollection = db.collection(TOURS_COLLECTION);
+  geocodeCache.collection = db.collection(GEOCODE_CACHE_COLLECTION);
+  searchIndex.collection = traditionsCollection;
+  aliasRegistry.collection = db.collection(ALIASES_COLLECTION);
+  
+  console.log('✅ Connected to MongoDB successfully!');
+  
+  // Create indexes
+  await traditionsCollection.createIndex({ saint: 1 }).catch(() => {});
+  await traditionsCollection.createIndex({ tradition: 1 }).catch(() => {});
+  await traditionsCollection.createIndex({ language: 1 }).catch(() => {});
+  await contributionsCollection.createIndex({ status: 1, submittedAt: -1 }).catch(() => {});
+  await revisionsCollection.createIndex({ recordId: 1, version: -1 }, { unique: true }).catch(() => {});
+  await relationshipsCollection.createIndex({ saintId: 1, relatedSaintId: 1, type: 1 }, { unique: true }).catch(() => {});
+  await relationshipsCollection.createIndex({ relatedSaintId: 1 }).catch(() => {});
+  await geocodeCache.collection.createIndex({ key: 1 }, { unique: true }).catch(() => {});
+  await traditionsCollection.createIndex({ 'dates.start.year': 1 }).catch(() => {});
+  await aliasRegistry.collection.createIndex({ kind: 1, canonical: 1 }, { unique: true }).catch(() => {});
+  
+  // Seed the alias registry on first run, then load it for parsing and filtering
+  if (await aliasRegistry.collection.estimatedDocumentCount() === 0) {
+    const now = new Date();
+    await aliasRegistry.collection.insertMany(DEFAULT_ALIASES.map(entry => ({ ...entry, updatedAt: now, updatedBy: 'seed' })));
+    console.log(`🔤 Seeded ${DEFAULT_ALIASES.length} alias entries`);
+  }
+  await aliasRegistry.load();
+  
+  // Backfill normalized dates on records stored before they existed
+  const undatedRecords = await traditionsCollection
+    .find({ dates: { $exists: false } }, { projection: { startYear: 1, endYear: 1 } })
+    .toArray();
+  if (undatedRecords.length > 0) {
+    await traditionsCollection.bulkWrite(undatedRecords.map(doc => ({
+      updateOne: { filter: { _id: doc._id }, update: { $set: { dates: buildHistoricalDates(doc) } } }
+    })));
+    console.log(`📅 Normalized dates on ${undatedRecords.length} records`);
+  }
+
+  /**
+   * Return the ids from the list that do not belong to a published saint
+   */
+  const findMissingSaints = async (ids) => {
+    if (ids.length === 0) return [];
+    const found = await traditionsCollection
+      .find({ _id: { $in: ids }, ...PUBLIC_FILTER }, { projection: { _id: 1 } })
+      .toArray();
+    const foundIds = new Set(found.map(doc => doc._id.toString()));
+    return ids.filter(id => !foundIds.has(id.toString()));
+  };
+
+  /**
+   * Build the record filter for a request, narrowing it to the search hits when `search` is given
+   * Returns the hits (best first) so callers can keep the relevance order
+   */
+  const buildSearchFilter = async (query) => {
+    const filter = buildTraditionsFilter(query);
+    const search = String(query.search || '').trim();
+    if (!search) return { filter, hits: null };
+    
+    const hits = await searchIndex.search(search);
+    filter._id = { $in: hits.map(hit => hit.doc._id) };
+    return { filter, hits };
+  };
+
+  // ========================================
+  // API ROUTES
+  // ========================================
+
+  // Health check
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      database: 'connected',
+      version: '1.0.1'
+    });
+  });
+
+  // Place suggestions
+  app.get('/api/suggest-places/:query', asyncHandler(async (req, res) => {
+    const query = (req.params.query || '').trim();
+    if (query.length < 3) return res.json([]);
+    
+    // Stop waiting for Nominatim once the client has given up on this query
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    
+    const suggestions = await suggestPlaces(query, 5, controller.signal);
+    if (controller.signal.aborted) return;
+    res.json(suggestions);
+  }));
+
+  /**
+   * Faceted counts for the filters in the query
+   * Each facet ignores its own parameter so the counts show what picking
+   * another value would return; facets whose parameter is unset share one query
+   */
+  const countFacets = async (query) => {
+    const docsByExcludedParam = new Map();
+    const loadDocs = (param) => {
+      const key = query[param] ? param : '';
+      if (!docsByExcludedParam.has(key)) {
+        docsByExcludedParam.set(key, buildSearchFilter(key ? { ...query, [key]: undefined } : query)
+          .then(({ filter }) => traditionsCollection.find(filter, { projection: FACET_PROJECTION }).toArray()));
+      }
+      return docsByExcludedParam.get(key);
+    };
+    
+    const counts = {};
+    for (const [facet, { param }] of Object.entries(FILTER_FACETS)) {
+      counts[facet] = countFacetValues(await loadDocs(param), facet);
+    }
+    
+    return { counts, total: (await loadDocs('')).length };
+  };
+
+  // Filter options with intelligent parsing
+  // Accepts the /api/traditions filters and returns per-value counts under `counts`
+  app.get('/api/filter-options', asyncHandler(async (req, res) => {
+    const pipeline = [
+      { $match: PUBLIC_FILTER },
+      {
+        $group: {
+          _id: null,
+          traditions: { $addToSet: '$tradition' },
+          traditionTypes: { $addToSet: '$traditionType' },
+          genders: { $addToSet: '$gender' },
+          languages: { $addToSet: '$language' },
+          periods: { $addToSet: '$period' },
+          schools: { $addToSet: '$school' },
+          saints: { $addToSet: '$saint' },
+          years: { $addToSet: '$dates.start.year' }
+        }
+      }
+    ];
+    
+    const result = await traditionsCollection.aggregate(pipeline).toArray();
+    
+    if (result.length === 0) {
+      return res.json({
+        traditions: [], traditionTypes: [], genders: [],
+        languages: [], periods: [], schools: [], saints: [], centuries: [],
+        aliases: { traditions: {}, languages: {}, saints: {} },
+        counts: {}, total: 0
+      });
+    }
+    
+    const options = result[0];
+    
+    // Saint spellings collapse onto their canonical name
+    if (options.saints) {
+      options.saints = [...new Set(options.saints.filter(Boolean).map(name => aliasRegistry.canonicalize('saint', name) || name))];
+    }
+    
+    // Simple fields - just filter and sort
+    ['traditionTypes', 'genders', 'periods', 'schools', 'saints'].forEach(key => {
+      if (options[key]) {
+        options[key] = options[key].filter(Boolean).sort((a, b) => a.localeCompare(b));
+      }
+    });
+    
+    // Parse compound languages
+    if (options.languages) {
+      options.languages = extractUniqueValues(options.languages.filter(Boolean), 'language');
+      console.log(`📚 Extracted ${options.languages.length} unique languages`);
+    }
+    
+    // Parse compound traditions
+    if (options.traditions) {
+      options.traditions = extractUniqueValues(options.traditions.filter(Boolean), 'tradition');
+      console.log(`🕉️ Extracted ${options.traditions.length} unique traditions`);
+    }
+    
+    // Centuries of the normalized start years, oldest first
+    options.centuries = [...new Set(options.years.map(getCentury).filter(Boolean))].sort((a, b) => a - b);
+    delete options.years;
+    
+    // Known alternative spellings for the canonical names shown in the UI
+    options.aliases = {
+      traditions: aliasRegistry.alternatives('tradition', options.traditions),
+      languages: aliasRegistry.alternatives('language', options.languages),
+      saints: aliasRegistry.alternatives('saint', options.saints)
+    };
+    
+    Object.assign(options, await countFacets(req.query));
+    
+    delete options._id;
+    res.json(options);
+  }));
+
+  // Tradition taxonomy tree with saint counts per node (descendants included)
+  // Accepts the other /api/traditions filters so counts follow the current selection
+  app.get('/api/taxonomy', asyncHandler(async (req, res) => {
+    const { filter } = await buildSearchFilter({ ...req.query, tradition: undefined });
+    const docs = await traditionsCollection
+      .find(filter, { projection: { tradition: 1 } })
+      .toArray();
+    
+    res.json(buildTaxonomyTree(docs.map(doc => doc.tradition)));
+  }));
+
+  /**
+   * Records and their markers for the /api/stats routes, honouring the /api/traditions filters
+   * With a placeType only saints that have a place of that type are counted
+   */
+  const loadStatsData = async (query) => {
+    const { filter } = await buildSearchFilter(query);
+    let docs = await traditionsCollection
+      .find(filter, { projection: { ...FACET_PROJECTION, places: 1 } })
+      .toArray();
+    let markers = docs.flatMap(convertToMapMarkers);
+    
+    const { placeType } = query;
+    if (placeType && placeType !== 'all') {
+      markers = markers.filter(marker => marker.type === placeType);
+      const saintIds = new Set(markers.map(marker => marker.saintId));
+      docs = docs.filter(doc => saintIds.has(doc._id.toString()));
+    }
+    
+    return { docs, markers };
+  };
+
+  // Saints per century for the statistics dashboard
+  app.get('/api/stats/centuries', asyncHandler(async (req, res) => {
+    const { docs } = await loadStatsData(req.query);
+    res.json({ total: docs.length, ...countSaintsPerCentury(docs) });
+  }));
+
+  // Gender ratio within the largest traditions
+  app.get('/api/stats/gender', asyncHandler(async (req, res) => {
+    const { docs } = await loadStatsData(req.query);
+    res.json({ total: docs.length, ...countGenderByTradition(docs, parseStatsLimit(req.query)) });
+  }));
+
+  // Saints per language
+  app.get('/api/stats/languages', asyncHandler(async (req, res) => {
+    const { docs } = await loadStatsData(req.query);
+    res.json({ total: docs.length, ...countLanguages(docs, parseStatsLimit(req.query)) });
+  }));
+
+  // Places per place type
+  app.get('/api/stats/place-types', asyncHandler(async (req, res) => {
+    const { markers } = await loadStatsData(req.query);
+    res.json({ total: markers.length, placeTypes: countPlaceTypes(markers) });
+  }));
+
+  // Region outlines for the choropleth as GeoJSON; polities are limited to the requested century
+  app.get('/api/regions', (req, res) => {
+    const { level, century, errors } = parseRegionQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid region query', details: errors });
+    }
+    
+    res.json({
+      type: 'FeatureCollection',
+      level,
+      label: REGION_LEVELS[level].label,
+      century,
+      centuries: getRegionCenturies(level),
+      features: getRegionsForCentury(level, century).map(region => region.feature)
+    });
+  });
+
+  // Saints per region with dominant tradition and language
+  // Accepts the /api/traditions filters; for polities only saints of the requested century are counted
+  app.get('/api/stats/regions', asyncHandler(async (req, res) => {
+    const { level, century, errors } = parseRegionQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid region query', details: errors });
+    }
+    
+    const { filter } = await buildSearchFilter(req.query);
+    const docs = await traditionsCollection.find(filter).toArray();
+    
+    let markers = docs
+      .filter(doc => level !== 'polity' || getCentury(doc.dates?.start?.year) === century)
+      .flatMap(convertToMapMarkers);
+    
+    const { placeType } = req.query;
+    if (placeType && placeType !== 'all') {
+      markers = markers.filter(marker => marker.type === placeType);
+    }
+    
+    const { regions, unassigned } = aggregateRegionStats(markers, level, century);
+    
+    res.json({
+      level,
+      century,
+      total: markers.length,
+      unassigned,
+      regions
+    });
+  }));
+
+  // Traditions endpoint with advanced filtering
+  app.get('/api/traditions', asyncHandler(async (req, res) => {
+    const { placeType } = req.query;
+    const { filter, hits } = await buildSearchFilter(req.query);
+    
+    console.log('🔍 Filter query:', JSON.stringify(filter, null, 2));
+    
+    // Search results keep their relevance order, so they are capped after ranking rather than by _id
+    let docs;
+    if (hits) {
+      const rank = new Map(hits.map((hit, index) => [hit.id, index]));
+      docs = (await traditionsCollection.find(filter).toArray())
+        .sort((a, b) => rank.get(a._id.toString()) - rank.get(b._id.toString()))
+        .slice(0, TRADITIONS_MAX_RESULTS);
+    } else {
+      docs = await traditionsCollection.find(filter).sort({ _id: -1 }).limit(TRADITIONS_MAX_RESULTS).toArray();
+    }
+    console.log(`📊 Found ${docs.length} traditions`);
+    
+    let markers = docs.flatMap(convertToMapMarkers);
+    
+    if (placeType && placeType !== 'all') {
+      markers = markers.filter(marker => marker.type === placeType);
+    }
+    
+    console.log(`🗺️ Returning ${markers.length} markers`);
+    res.json(markers);
+  }));
+
+  // Omnibox autocomplete - grouped saints, places, traditions and texts
+  app.get('/api/search/suggest', asyncHandler(async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) return res.json({ query: q, groups: { saints: [], places: [], traditions: [], texts: [] } });
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SUGGEST_DEFAULT_LIMIT, 1), SUGGEST_MAX_LIMIT);
+    res.json({ query: q, groups: await searchIndex.suggest(q, limit) });
+  }));
+
+  // Ranked full-text search - ?q= plus any /api/traditions filter, with highlighted snippets
+  app.get('/api/search', asyncHandler(async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'Query parameter q is required' });
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+    const { filter, hits } = await buildSearchFilter({ ...req.query, search: q });
+    
+    // Apply the remaining filters to the hits, keeping the ranking
+    const allowed = await traditionsCollection.find(filter, { projection: { _id: 1 } }).toArray();
+    const allowedIds = new Set(allowed.map(doc => doc._id.toString()));
+    const results = hits.filter(hit => allowedIds.has(hit.id));
+    
+    res.json({
+      query: q,
+      total: results.length,
+      results: results.slice(0, limit).map(hit => ({
+        id: hit.id,
+        saint: hit.doc.saint,
+        tradition: hit.doc.tradition,
+        period: hit.doc.period,
+        score: hit.score,
+        matchedFields: hit.matchedFields,
+        highlights: hit.highlights
+      }))
+    });
+  }));
+
+  // Saints - one record per saint with pagination, sorting and projection
+  app.get('/api/saints', asyncHandler(async (req, res) => {
+    const { page, limit, sort, projection, errors } = parseSaintListOptions(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+    
+    const { filter } = await buildSearchFilter(req.query);
+    
+    const [docs, total] = await Promise.all([
+      traditionsCollection
+        .find(filter, projection ? { projection } : {})
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      traditionsCollection.countDocuments(filter)
+    ]);
+    
+    res.json({
+      data: docs.map(toSaintResource),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  }));
+
+  // Single saint by id
+  app.get('/api/saints/:id', asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid saint id' });
+    
+    const { projection, errors } = parseSaintListOptions({ fields: req.query.fields });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+    
+    const doc = await traditionsCollection.findOne({ _id: id, ...PUBLIC_FILTER }, projection ? { projection } : {});
+    if (!doc) return res.status(404).json({ error: 'Saint not found' });
+    
+    res.json(toSaintResource(doc));
+  }));
+
+  /**
+   * Find a published saint by profile slug or record id and build its profile
+   * Slugs of alternative spellings resolve through the alias registry
+   * @returns {Promise<Object|null>} Profile, or null when no saint matches
+   */
+  const loadSaintProfile = async (slugOrId) => {
+    await searchIndex.ensure();
+    const { slugs } = searchIndex;
+    const id = resolveSaintRef(slugOrId, slugs);
+    if (!id) return null;
+    
+    const recordId = new ObjectId(id);
+    const [doc, relationships, revisions] = await Promise.all([
+      traditionsCollection.findOne({ _id: recordId }),
+      relationshipsCollection.find({ $or: [{ saintId: recordId }, { relatedSaintId: recordId }] }).toArray(),
+      revisionsCollection.find({ recordId }, { projection: { snapshot: 0 } }).sort({ version: -1 }).toArray()
+    ]);
+    
+    const relatedIds = relationships.map(r => (r.saintId.equals(recordId) ? r.relatedSaintId : r.saintId));
+    const relatedDocs = await traditionsCollection
+      .find({ _id: { $in: relatedIds }, ...PUBLIC_FILTER }, { projection: { saint: 1 } })
+      .toArray();
+    
+    return buildSaintProfile(doc, { slugs, relationships, relatedDocs, revisions });
+  };
+
+  // Full saint profile by slug ("kabir") or record id, used by the /saint/:slug page
+  app.get('/api/saints/profile/:slug', asyncHandler(async (req, res) => {
+    const profile = await loadSaintProfile(String(req.params.slug).toLowerCase());
+    if (!profile) return res.status(404).json({ error: 'Saint not found' });
+    res.json(profile);
+  }));
+
+  // Export the filtered view - accepts the /api/traditions filters plus ?format=geojson|kml|csv|bibtex
+  // Records are streamed from a cursor so large exports are never held in memory; reading pauses
+  // while the response buffer drains and stops when the client disconnects
+  app.get('/api/export', asyncHandler(async (req, res) => {
+    const formatName = String(req.query.format || 'geojson').toLowerCase();
+    const format = EXPORT_FORMATS[formatName];
+    if (!format) {
+      return res.status(400).json({ error: 'Unknown export format', allowed: Object.keys(EXPORT_FORMATS) });
+    }
+    
+    const { placeType } = req.query;
+    const { filter } = await buildSearchFilter(req.query);
+    const context = { baseUrl: getBaseUrl(req), count: 0, keys: new Set() };
+    
+    const write = (chunk) => res.write(chunk) || new Promise(resolve => {
+      const resume = () => {
+        res.off('drain', resume);
+        res.off('close', resume);
+        resolve();
+      };
+      res.on('drain', resume);
+      res.on('close', resume);
+    });
+    
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="bhakti-map.${format.extension}"`);
+    await write(format.header(context));
+    
+    const cursor = traditionsCollection.find(filter).sort({ saint: 1, _id: 1 });
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+      let markers = convertToMapMarkers(doc);
+      if (placeType && placeType !== 'all') {
+        markers = markers.filter(marker => marker.type === placeType);
+      }
+      await write(format.record(doc, markers, context));
+    }
+    
+    if (res.destroyed) return;
+    res.end(format.footer(context));
+    console.log(`📤 Exported ${formatName}`);
+  }));
+
+  // Contribution endpoint - submissions wait in the moderation queue
+  app.post('/api/contribute', asyncHandler(async (req, res) => {
+    console.log('📝 New contribution received');
+    
+    const body = req.body || {};
+    const { relations, errors: relationErrors } = parseRelatedSaints(body.relatedSaints);
+    const validationErrors = [...validateContributionBody(body), ...relationErrors];
+    
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+    }
+    
+    const missingSaints = await findMissingSaints(relations.map(r => r.saintId));
+    if (missingSaints.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: missingSaints.map(id => `Related saint "${id}" does not exist`)
+      });
+    }
+
+    const geocodedPlaces = await normalizeAndGeocodePlaces(body.places);
+
+    const traditionDocument = {
+      ...buildTraditionDocument(body, geocodedPlaces),
+      contributedAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await contributionsCollection.insertOne({
+      record: traditionDocument,
+      relatedSaints: relations,
+      status: 'pending',
+      reviewerNotes: null,
+      reviewedBy: null,
+      reviewedAt: null,
+      submittedAt: new Date(),
+      publishedId: null
+    });
+    
+    console.log(`📥 Contribution queued for review: ${traditionDocument.saint}`);
+    
+    res.status(202).json({
+      id: result.insertedId.toString(),
+      status: 'pending',
+      message: `Thank you for contributing information about ${traditionDocument.saint}! It will appear on the map once reviewed.`,
+      success: true
+    });
+  }));
+
+  // ========================================
+  // SAINT RECORD CRUD
+  // ========================================
+
+  // Fetch a single published record
+  app.get('/api/traditions/:id', asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid record id' });
+    
+    const doc = await traditionsCollection.findOne({ _id: id, ...PUBLIC_FILTER });
+    if (!doc) return res.status(404).json({ error: 'Record not found' });
+    
+    res.json(doc);
+  }));
+
+  // Replace a record
+  app.put('/api/traditions/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid record id' });
+    
+    const body = req.body || {};
+    const validationErrors = validateContributionBody(body);
+    
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+    }
+    
+    const existing = await traditionsCollection.findOne({ _id: id });
+    if (!existing) return res.status(404).json({ error: 'Record not found' });
+    
+    const geocodedPlaces = await normalizeAndGeocodePlaces(body.places);
+    const update = { ...buildTraditionDocument(body, geocodedPlaces), updatedAt: new Date() };
+    
+    const updated = await traditionsCollection.findOneAndUpdate(
+      { _id: id },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    
+    await recordRevision(revisionsCollection, id, existing, updated, { action: 'update', changedBy: getEditor(req) });
+    searchIndex.invalidate();
+    
+    console.log(`✏️ Record replaced: ${updated.saint}`);
+    res.json({ id: id.toString(), record: updated, success: true });
+  }));
+
+  // Partially update a record - places are re-geocoded only when sent
+  app.patch('/api/traditions/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid record id' });
+    
+    const body = req.body || {};
+    const unknownFields = Object.keys(body).filter(key => key !== 'places' && !EDITABLE_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: unknownFields.map(f => `Field "${f}" cannot be updated`) });
+    }
     
-    res.json(suggestions);
+    const existing = await traditionsCollection.findOne({ _id: id });
+    if (!existing) return res.status(404).json({ error: 'Record not found' });
+    
+    const merged = { ...existing, ...body };
+    if (body.places && typeof body.places === 'object') {
+      merged.places = { ...existing.places, ...body.places };
+    }
+    
+    const validationErrors = validateContributionBody(merged);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+    }
+    
+    const places = body.places ? await normalizeAndGeocodePlaces(merged.places) : existing.places;
+    const update = { ...buildTraditionDocument(merged, places), updatedAt: new Date() };
+    
+    const updated = await traditionsCollection.findOneAndUpdate(
+      { _id: id },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    
+    await recordRevision(revisionsCollection, id, existing, updated, { action: 'update', changedBy: getEditor(req) });
+    searchIndex.invalidate();
+    
+    console.log(`✏️ Record updated: ${updated.saint}`);
+    res.json({ id: id.toString(), record: updated, success: true });
   }));
 
-  // Filter options with intelligent parsing
-  app.get('/api/filter-options', asyncHandler(async (req, res) => {
-    const pipeline = [
-      {
-        $group: {
-          _id: null,
-          traditions: { $addToSet: '$tradition' },
-          traditionTypes: { $addToSet: '$traditionType' },
-          genders: { $addToSet: '$gender' },
-          languages: { $addToSet: '$language' },
-          periods: { $addToSet: '$period' },
-          saints: { $addToSet: '$saint' }
-        }
-      }
-    ];
+  // Delete a record
+  app.delete('/api/traditions/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid record id' });
     
-    const result = await traditionsCollection.aggregate(pipeline).toArray();
+    const deleted = await traditionsCollection.findOneAndDelete({ _id: id });
+    if (!deleted) return res.status(404).json({ error: 'Record not found' });
     
-    if (result.length === 0) {
-      return res.json({
-        traditions: [], traditionTypes: [], genders: [],
-        languages: [], periods: [], saints: []
+    await recordRevision(revisionsCollection, id, deleted, null, { action: 'delete', changedBy: getEditor(req) });
+    searchIndex.invalidate();
+    
+    console.log(`🗑️ Record deleted: ${deleted.saint}`);
+    res.json({ id: id.toString(), success: true });
+  }));
+
+  // ========================================
+  // REVISION HISTORY
+  // ========================================
+
+  // Revisions name their editors and keep snapshots of deleted and rejected records, so reads are admin-only
+  
+  // List revisions of a record, newest first (snapshots omitted)
+  app.get('/api/traditions/:id/revisions', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid record id' });
+    
+    const revisions = await revisionsCollection
+      .find({ recordId: id }, { projection: { snapshot: 0 } })
+      .sort({ version: -1 })
+      .toArray();
+    
+    res.json(revisions);
+  }));
+
+  // Diff two revisions: /api/traditions/:id/diff?from=2&to=5
+  app.get('/api/traditions/:id/diff', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid record id' });
+    
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'Query parameters "from" and "to" must be revision numbers' });
+    }
+    
+    const [fromRevision, toRevision] = await Promise.all([
+      revisionsCollection.findOne({ recordId: id, version: from }),
+      revisionsCollection.findOne({ recordId: id, version: to })
+    ]);
+    
+    if (!fromRevision || !toRevision) return res.status(404).json({ error: 'Revision not found' });
+    
+    res.json({ from, to, diff: diffRecords(fromRevision.snapshot, toRevision.snapshot) });
+  }));
+
+  // Fetch one revision with its full snapshot
+  app.get('/api/traditions/:id/revisions/:version', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid record id' });
+    
+    const revision = await revisionsCollection.findOne({ recordId: id, version: parseInt(req.params.version, 10) });
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    
+    res.json(revision);
+  }));
+
+  // Roll a record back to an earlier revision (recreates it if it was deleted)
+  app.post('/api/traditions/:id/revisions/:version/restore', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid record id' });
+    
+    const version = parseInt(req.params.version, 10);
+    const revision = await revisionsCollection.findOne({ recordId: id, version });
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    if (!revision.snapshot) return res.status(409).json({ error: 'Revision has no snapshot to restore' });
+    
+    const existing = await traditionsCollection.findOne({ _id: id });
+    const now = new Date();
+    
+    let restored;
+    if (existing) {
+      restored = await traditionsCollection.findOneAndUpdate(
+        { _id: id },
+        { $set: { ...revision.snapshot, dates: buildHistoricalDates(revision.snapshot), updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+    } else {
+      restored = {
+        _id: id,
+        ...revision.snapshot,
+        dates: buildHistoricalDates(revision.snapshot),
+        status: 'approved',
+        contributedAt: now,
+        updatedAt: now
+      };
+      await traditionsCollection.insertOne(restored);
+    }
+    
+    const newRevision = await recordRevision(revisionsCollection, id, existing, restored, {
+      action: 'restore',
+      changedBy: getEditor(req),
+      restoredFrom: version
+    });
+    searchIndex.invalidate();
+    
+    console.log(`⏪ Record restored to revision ${version}: ${restored.saint}`);
+    res.json({ id: id.toString(), version: newRevision.version, restoredFrom: version, record: restored, success: true });
+  }));
+
+  // ========================================
+  // SAINT RELATIONSHIPS
+  // ========================================
+
+  // List relationship edges between published saints
+  // Optional filters: ?saint=<id> (either end) and ?type=guru
+  app.get('/api/relationships', asyncHandler(async (req, res) => {
+    const filter = {};
+    
+    if (req.query.saint) {
+      const saintId = parseObjectId(String(req.query.saint));
+      if (!saintId) return res.status(400).json({ error: 'Invalid saint id' });
+      filter.$or = [{ saintId }, { relatedSaintId: saintId }];
+    }
+    
+    if (req.query.type) {
+      const type = normalizeRelationshipType(String(req.query.type));
+      if (!type) return res.status(400).json({ error: 'Unknown relationship type', allowed: RELATIONSHIP_TYPES });
+      filter.type = type;
+    }
+    
+    const [relationships, publicIds] = await Promise.all([
+      relationshipsCollection.find(filter).toArray(),
+      traditionsCollection.distinct('_id', PUBLIC_FILTER)
+    ]);
+    
+    // Skip edges whose saints were deleted or are not yet approved
+    const visible = new Set(publicIds.map(String));
+    const edges = relationships
+      .filter(r => visible.has(r.saintId.toString()) && visible.has(r.relatedSaintId.toString()))
+      .map(toRelationshipEdge);
+    
+    res.json(edges);
+  }));
+
+  // Create a relationship between two published saints
+  app.post('/api/relationships', requireAdmin, asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const saintId = parseObjectId(String(body.saintId || ''));
+    const relatedSaintId = parseObjectId(String(body.relatedSaintId || ''));
+    const type = normalizeRelationshipType(body.type);
+    
+    const errors = [];
+    if (!saintId) errors.push('Field "saintId" must be a valid saint id');
+    if (!relatedSaintId) errors.push('Field "relatedSaintId" must be a valid saint id');
+    if (!type) errors.push(`Field "type" must be one of ${RELATIONSHIP_TYPES.join(', ')}`);
+    if (saintId && relatedSaintId && saintId.equals(relatedSaintId)) errors.push('A saint cannot be related to itself');
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+    
+    const missingSaints = await findMissingSaints([saintId, relatedSaintId]);
+    if (missingSaints.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: missingSaints.map(id => `Saint "${id}" does not exist`)
       });
     }
     
-    const options = result[0];
+    const existing = await relationshipsCollection.findOne({ saintId, relatedSaintId, type });
+    if (existing) return res.status(409).json({ error: 'Relationship already exists', id: existing._id.toString() });
     
-    // Simple fields - just filter and sort
-    ['traditionTypes', 'genders', 'periods', 'saints'].forEach(key => {
-      if (options[key]) {
-        options[key] = options[key].filter(Boolean).sort((a, b) => a.localeCompare(b));
+    const relationship = { saintId, relatedSaintId, type, createdAt: new Date() };
+    const result = await relationshipsCollection.insertOne(relationship);
+    
+    res.status(201).json(toRelationshipEdge({ _id: result.insertedId, ...relationship }));
+  }));
+
+  // Remove a relationship
+  app.delete('/api/relationships/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid relationship id' });
+    
+    const result = await relationshipsCollection.deleteOne({ _id: id });
+    if (result.deletedCount === 0) return res.status(404).json({ error: 'Relationship not found' });
+    
+    res.json({ id: id.toString(), success: true });
+  }));
+
+  // ========================================
+  // VIRTUAL TOURS
+  // ========================================
+
+  /**
+   * Point tour steps at published records: saint slugs become record ids and markers must exist
+   * @returns {Promise<Array<string>>} Validation errors
+   */
+  const resolveTourReferences = async (tour) => {
+    await searchIndex.ensure();
+    const { slugs } = searchIndex;
+    const errors = [];
+    
+    const markerSaintIds = [...new Set(tour.steps.filter(step => step.marker).map(step => step.marker.split('_')[0]))]
+      .filter(id => slugs.has(id));
+    const markerDocs = await traditionsCollection.find({ _id: { $in: markerSaintIds.map(id => new ObjectId(id)) } }).toArray();
+    const markerIds = new Set(markerDocs.flatMap(doc => convertToMapMarkers(doc).map(marker => marker.id)));
+    
+    tour.steps.forEach((step, index) => {
+      if (step.saint) {
+        // Accepts an id, a profile slug or a plain name ("Sant Tukaram")
+        const id = resolveSaintRef(step.saint, slugs) || resolveSaintRef(saintSlug(step.saint), slugs);
+        if (id) {
+          step.saint = id;
+        } else {
+          errors.push(`steps[${index}].saint "${step.saint}" does not match a published saint`);
+        }
+      }
+      if (step.marker && !markerIds.has(step.marker)) {
+        errors.push(`steps[${index}].marker "${step.marker}" does not match a place on the map`);
       }
     });
     
-    // Parse compound languages
-    if (options.languages) {
-      options.languages = extractUniqueValues(options.languages.filter(Boolean), 'language');
-      console.log(`📚 Extracted ${options.languages.length} unique languages`);
+    return errors;
+  };
+
+  // List tours without their steps
+  app.get('/api/tours', asyncHandler(async (req, res) => {
+    const tours = await toursCollection.find({}).sort({ title: 1 }).toArray();
+    res.json(tours.map(tour => toTourJson(tour, { summary: true })));
+  }));
+
+  // One tour with its steps
+  app.get('/api/tours/:id', asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid tour id' });
+    
+    const tour = await toursCollection.findOne({ _id: id });
+    if (!tour) return res.status(404).json({ error: 'Tour not found' });
+    
+    res.json(toTourJson(tour));
+  }));
+
+  // Create a tour: { title, description, steps: [{ marker | saint, text, title, view, image, imageCaption, audio, duration }] }
+  app.post('/api/tours', requireAdmin, asyncHandler(async (req, res) => {
+    const { tour, errors } = parseTour(req.body);
+    if (errors.length === 0) errors.push(...await resolveTourReferences(tour));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
     }
     
-    // Parse compound traditions
-    if (options.traditions) {
-      options.traditions = extractUniqueValues(options.traditions.filter(Boolean), 'tradition');
-      console.log(`🕉️ Extracted ${options.traditions.length} unique traditions`);
+    const now = new Date();
+    const editor = getEditor(req);
+    const doc = { ...tour, createdBy: editor, createdAt: now, updatedBy: editor, updatedAt: now };
+    const result = await toursCollection.insertOne(doc);
+    
+    console.log(`🧭 Tour created: "${tour.title}" (${tour.steps.length} steps)`);
+    res.status(201).json({ id: result.insertedId.toString(), tour: toTourJson(doc), success: true });
+  }));
+
+  // Replace a tour
+  app.put('/api/tours/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid tour id' });
+    
+    const { tour, errors } = parseTour(req.body);
+    if (errors.length === 0) errors.push(...await resolveTourReferences(tour));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
     }
     
-    delete options._id;
-    res.json(options);
+    const updated = await toursCollection.findOneAndUpdate(
+      { _id: id },
+      { $set: { ...tour, updatedAt: new Date(), updatedBy: getEditor(req) } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(404).json({ error: 'Tour not found' });
+    
+    console.log(`🧭 Tour updated: "${updated.title}"`);
+    res.json({ id: id.toString(), tour: toTourJson(updated), success: true });
   }));
 
-  // Traditions endpoint with advanced filtering
-  app.get('/api/traditions', asyncHandler(async (req, res) => {
-    const { tradition, traditionType, gender, period, language, saint, placeType, search, startYearMin, startYearMax } = req.query;
+  // Delete a tour
+  app.delete('/api/tours/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid tour id' });
     
-    const filter = {};
+    const deleted = await toursCollection.findOneAndDelete({ _id: id });
+    if (!deleted) return res.status(404).json({ error: 'Tour not found' });
+    
+    console.log(`🧭 Tour deleted: "${deleted.title}"`);
+    res.json({ id: id.toString(), success: true });
+  }));
+
+  // ========================================
+  // GEOCODING REVIEW (ADMIN)
+  // ========================================
+
+  // Places that failed to geocode or are ambiguous/low confidence
+  // Optional ?maxConfidence=0.8 to widen or narrow the review threshold
+  app.get('/api/admin/geocoding', requireAdmin, asyncHandler(async (req, res) => {
+    const maxConfidence = req.query.maxConfidence !== undefined
+      ? parseFloat(req.query.maxConfidence)
+      : GEOCODE_CONFIDENCE_THRESHOLD;
+    
+    if (isNaN(maxConfidence)) {
+      return res.status(400).json({ error: 'Query parameter "maxConfidence" must be a number' });
+    }
     
-    // Period and saint filters
-    if (period) filter.period = new RegExp(String(period), 'i');
-    if (saint) filter.saint = new RegExp(String(saint), 'i');
+    const docs = await traditionsCollection
+      .find({}, { projection: { saint: 1, places: 1 } })
+      .sort({ saint: 1 })
+      .toArray();
     
-    // Enhanced tradition filter with variations
-    if (tradition) {
-      const tradSearch = String(tradition).trim();
-      const variations = [tradSearch];
-      const lowerTrad = tradSearch.toLowerCase();
-      
-      if (lowerTrad === 'shaiva' || lowerTrad === 'saiva') {
-        variations.push('Śaiva', 'Saiva', 'Shaiva', 'Shaivism');
-      } else if (lowerTrad === 'vaishnava' || lowerTrad === 'vaisnava') {
-        variations.push('Vaiṣṇava', 'Vaisnava', 'Vaishnava', 'Vaishnavism');
-      } else if (lowerTrad === 'lingayat') {
-        variations.push('Liṅgāyat', 'Lingāyat', 'Virashaiva', 'Vīraśaiva');
-      } else if (lowerTrad === 'varkari') {
-        variations.push('Vārkari', 'Varkari Sampradaya');
-      } else if (lowerTrad === 'gaudiya') {
-        variations.push('Gauḍīya', 'Gaudīya');
-      } else if (lowerTrad === 'alvars') {
-        variations.push('Āḻvārs', 'Alwars');
-      } else if (lowerTrad === 'nayanars') {
-        variations.push('Nāyanārs', 'Nayanmars');
-      }
-      
-      const escaped = variations.map(v => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-      filter.tradition = new RegExp(escaped.join('|'), 'i');
+    res.json(docs.flatMap(doc => findPlacesNeedingReview(doc, maxConfidence)));
+  }));
+
+  // Resolve one place by picking a candidate ({ candidate: 1 }) or entering coordinates ({ coords: [lat, lon] })
+  app.post('/api/admin/geocoding/:id/:placeType/:index', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid record id' });
+    
+    const { placeType } = req.params;
+    const index = parseInt(req.params.index, 10);
+    if (!PLACE_TYPES.includes(placeType) || isNaN(index) || index < 0) {
+      return res.status(400).json({ error: 'Invalid place type or index' });
     }
     
-    // Enhanced language filter with variations
-    if (language) {
-      const langSearch = String(language).trim();
-      const variations = [langSearch];
-      const lowerLang = langSearch.toLowerCase();
-      
-      if (lowerLang === 'braj bhasha') {
-        variations.push('Braj Bhasa', 'BrajBhasha', 'BrajBhasa', 'Brij Bhasha', 'Braj');
-      } else if (lowerLang === 'hindi') {
-        variations.push('Hindii', 'Hindustani');
-      } else if (lowerLang === 'sanskrit') {
-        variations.push('Sanskirt', 'Sankrit', 'Sanskrit-derived');
-      } else if (lowerLang === 'bengali') {
-        variations.push('Bangla');
-      } else if (lowerLang === 'punjabi') {
-        variations.push('Panjabi');
-      } else if (lowerLang === 'tamil') {
-        variations.push('Tamizh');
-      } else if (lowerLang === 'odia') {
-        variations.push('Odiya', 'Oriya');
+    const existing = await traditionsCollection.findOne({ _id: id });
+    if (!existing) return res.status(404).json({ error: 'Record not found' });
+    
+    const placeData = existing.places?.[placeType];
+    const isList = Array.isArray(placeData);
+    const place = isList ? placeData[index] : (index === 0 ? placeData : null);
+    if (!place) return res.status(404).json({ error: 'Place not found' });
+    
+    const body = req.body || {};
+    let coords;
+    let region = place.region || null;
+    let source;
+    
+    if (body.candidate !== undefined) {
+      const candidate = place.geocode?.candidates?.[parseInt(body.candidate, 10)];
+      if (!candidate) return res.status(400).json({ error: 'Unknown candidate' });
+      coords = candidate.coords;
+      region = candidate.region || region;
+      source = place.geocode.source;
+    } else if (Array.isArray(body.coords) && body.coords.length === 2) {
+      const [lat, lon] = body.coords.map(Number);
+      if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return res.status(400).json({ error: 'Coordinates must be [lat, lon] within valid ranges' });
       }
-      
-      const escaped = variations.map(v => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-      filter.language = new RegExp(escaped.join('|'), 'i');
+      coords = [lat, lon];
+      region = body.region ? String(body.region).trim() : region;
+      source = 'manual';
+    } else {
+      return res.status(400).json({ error: 'Provide either "candidate" or "coords"' });
     }
     
-    // Exact match filters
-    if (traditionType) filter.traditionType = String(traditionType);
-    if (gender) filter.gender = String(gender);
+    const resolvedPlace = {
+      ...place,
+      coords,
+      region,
+      geocode: {
+        ...(place.geocode || { candidates: [] }),
+        status: 'manual',
+        confidence: 1,
+        source,
+        reviewedBy: getEditor(req),
+        reviewedAt: new Date()
+      }
+    };
+    
+    const fieldPath = isList ? `places.${placeType}.${index}` : `places.${placeType}`;
+    const updated = await traditionsCollection.findOneAndUpdate(
+      { _id: id },
+      { $set: { [fieldPath]: resolvedPlace, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
     
-    // General search
-    if (search) {
-      filter.$or = [
-        { saint: new RegExp(String(search), 'i') },
-        { tradition: new RegExp(String(search), 'i') },
-        { philosophy: new RegExp(String(search), 'i') }
-      ];
-    }
+    await recordRevision(revisionsCollection, id, existing, updated, { action: 'update', changedBy: getEditor(req) });
+    searchIndex.invalidate();
+    
+    // Remember the reviewed answer for later lookups of the same name
+    await geocodeCache.set(foldDiacritics(place.name), {
+      lat: coords[0],
+      lon: coords[1],
+      displayName: place.name,
+      region: region || '',
+      confidence: 1,
+      candidates: []
+    }).catch(() => {});
+    
+    console.log(`📍 Geocode resolved: ${place.name} (${updated.saint})`);
+    res.json({ id: id.toString(), placeType, index, place: resolvedPlace, success: true });
+  }));
+
+  // ========================================
+  // BULK IMPORT (ADMIN)
+  // ========================================
 
-    // FIXED: Year range filtering with proper numeric comparison
-    if (startYearMin || startYearMax) {
-      const yearConditions = [];
+  // Import saints from CSV, JSON or GeoJSON: ?format=csv&dryRun=true
+  // CSV may be sent as text/csv; JSON bodies may also be { format, data }
+  app.post('/api/import',
+    requireAdmin,
+    express.text({ type: ['text/csv', 'text/plain', 'application/geo+json'], limit: '10mb' }),
+    asyncHandler(async (req, res) => {
+      let payload = req.body;
+      let format = req.query.format ? String(req.query.format).toLowerCase() : null;
       
-      if (startYearMin) {
-        const minYear = parseInt(startYearMin, 10);
-        if (!isNaN(minYear)) {
-          yearConditions.push({
-            $expr: { $gte: [{ $toInt: { $ifNull: ['$startYear', '0'] } }, minYear] }
-          });
-        }
+      if (payload && typeof payload === 'object' && !Array.isArray(payload) && payload.data !== undefined) {
+        format = format || (payload.format ? String(payload.format).toLowerCase() : null);
+        payload = payload.data;
       }
       
-      if (startYearMax) {
-        const maxYear = parseInt(startYearMax, 10);
-        if (!isNaN(maxYear)) {
-          yearConditions.push({
-            $expr: { $lte: [{ $toInt: { $ifNull: ['$startYear', '9999'] } }, maxYear] }
-          });
-        }
+      if (!format) {
+        format = detectImportFormat(req.get('content-type'));
+        if (format === 'json' && payload?.type === 'FeatureCollection') format = 'geojson';
       }
       
-      if (yearConditions.length > 0) {
-        filter.$and = filter.$and ? [...filter.$and, ...yearConditions] : yearConditions;
+      if (!IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'Unknown import format', allowed: IMPORT_FORMATS });
       }
+      
+      let rows;
+      try {
+        rows = parseImportData(payload, format);
+      } catch (error) {
+        return res.status(400).json({ error: 'Could not parse import data', message: error.message });
+      }
+      
+      const dryRun = ['true', '1', 'yes'].includes(String(req.query.dryRun || req.body?.dryRun || '').toLowerCase());
+      const report = await importRecords(rows, {
+        traditionsCollection,
+        revisionsCollection,
+        dryRun,
+        editor: getEditor(req, 'import')
+      });
+      if (report.imported > 0) searchIndex.invalidate();
+      
+      console.log(`📦 Import ${dryRun ? '(dry run) ' : ''}finished: ${report.imported} of ${report.total} rows`);
+      res.json(report);
+    }));
+
+  // ========================================
+  // ALIAS REGISTRY (ADMIN)
+  // ========================================
+
+  /**
+   * Names in the entry already claimed by another entry of the same kind
+   */
+  const findAliasConflicts = (entry, ownId = null) => {
+    return [entry.canonical, ...entry.aliases]
+      .map(name => ({ name, owner: aliasRegistry.find(entry.kind, name) }))
+      .filter(({ owner }) => owner && String(owner._id) !== String(ownId))
+      .map(({ name, owner }) => `"${name}" is already an alias of ${owner.kind} "${owner.canonical}"`);
+  };
+
+  // List alias entries, optionally by kind
+  app.get('/api/admin/aliases', requireAdmin, asyncHandler(async (req, res) => {
+    const { kind } = req.query;
+    if (kind && !ALIAS_KINDS.includes(kind)) {
+      return res.status(400).json({ error: 'Invalid kind', allowed: ALIAS_KINDS });
     }
     
-    console.log('🔍 Filter query:', JSON.stringify(filter, null, 2));
+    const entries = await aliasRegistry.collection
+      .find(kind ? { kind } : {})
+      .sort({ kind: 1, canonical: 1 })
+      .toArray();
+    res.json(entries);
+  }));
+
+  // Create an alias entry: { kind, canonical, aliases }
+  app.post('/api/admin/aliases', requireAdmin, asyncHandler(async (req, res) => {
+    const { entry, errors } = parseAliasEntry(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
     
-    const docs = await traditionsCollection.find(filter).sort({ _id: -1 }).limit(1000).toArray();
-    console.log(`📊 Found ${docs.length} traditions`);
+    const conflicts = findAliasConflicts(entry);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'Alias conflict', details: conflicts });
+    }
     
-    let markers = docs.flatMap(convertToMapMarkers);
+    const doc = { ...entry, updatedAt: new Date(), updatedBy: getEditor(req) };
+    const result = await aliasRegistry.collection.insertOne(doc);
+    await aliasRegistry.load();
     
-    if (placeType && placeType !== 'all') {
-      markers = markers.filter(marker => marker.type === placeType);
+    console.log(`🔤 Alias entry created: ${entry.kind} "${entry.canonical}"`);
+    res.status(201).json({ id: result.insertedId.toString(), entry: doc, success: true });
+  }));
+
+  // Replace an alias entry
+  app.put('/api/admin/aliases/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid alias id' });
+    
+    const { entry, errors } = parseAliasEntry(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
     }
     
-    console.log(`🗺️ Returning ${markers.length} markers`);
-    res.json(markers);
+    const conflicts = findAliasConflicts(entry, id);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'Alias conflict', details: conflicts });
+    }
+    
+    const updated = await aliasRegistry.collection.findOneAndUpdate(
+      { _id: id },
+      { $set: { ...entry, updatedAt: new Date(), updatedBy: getEditor(req) } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(404).json({ error: 'Alias entry not found' });
+    await aliasRegistry.load();
+    
+    console.log(`🔤 Alias entry updated: ${updated.kind} "${updated.canonical}"`);
+    res.json({ id: id.toString(), entry: updated, success: true });
   }));
 
-  // Contribution endpoint
-  app.post('/api/contribute', asyncHandler(async (req, res) => {
-    console.log('📝 New contribution received');
+  // Delete an alias entry
+  app.delete('/api/admin/aliases/:id', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid alias id' });
     
-    const body = req.body || {};
-    const validationErrors = validateContributionBody(body);
+    const deleted = await aliasRegistry.collection.findOneAndDelete({ _id: id });
+    if (!deleted) return res.status(404).json({ error: 'Alias entry not found' });
+    await aliasRegistry.load();
     
-    if (validationErrors.length > 0) {
-      return res.status(400).json({ error: 'Validation failed', details: validationErrors });
-    }
+    console.log(`🔤 Alias entry deleted: ${deleted.kind} "${deleted.canonical}"`);
+    res.json({ id: id.toString(), success: true });
+  }));
 
-    const geocodedPlaces = await normalizeAndGeocodePlaces(body.places);
+  // ========================================
+  // MODERATION ROUTES (ADMIN)
+  // ========================================
 
-    const traditionDocument = {
-      saint: body.saint.trim(),
-      tradition: body.tradition.trim(),
-      places: geocodedPlaces,
-      period: body.period.trim(),
-      startYear: body.startYear.trim(),
-      endYear: body.endYear.trim(),
-      traditionType: body.traditionType.trim(),
-      school: body.school ? body.school.trim() : null,
-      presidingDeity: body.presidingDeity ? body.presidingDeity.trim() : null,
-      sufi: Boolean(body.sufi),
-      birthPlace: body.birthPlace.trim(),
-      deathPlace: body.deathPlace ? body.deathPlace.trim() : null,
-      gender: body.gender.trim(),
-      language: body.language.trim(),
-      texts: Array.isArray(body.texts) ? body.texts : (body.texts ? [body.texts] : []),
-      philosophy: body.philosophy.trim(),
-      contributedAt: new Date(),
-      updatedAt: new Date()
-    };
+  // List contributions, optionally by status
+  app.get('/api/admin/contributions', requireAdmin, asyncHandler(async (req, res) => {
+    const status = req.query.status ? String(req.query.status) : 'pending';
+    
+    if (status !== 'all' && !CONTRIBUTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Unknown status "${status}"`, allowed: [...CONTRIBUTION_STATUSES, 'all'] });
+    }
+    
+    const filter = status === 'all' ? {} : { status };
+    const contributions = await contributionsCollection.find(filter).sort({ submittedAt: -1 }).limit(500).toArray();
+    
+    res.json(contributions);
+  }));
 
-    const result = await traditionsCollection.insertOne(traditionDocument);
+  // Approve a contribution - copies the record into the public collection
+  app.post('/api/admin/contributions/:id/approve', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid contribution id' });
+    
+    // Claim the contribution first so concurrent approvals cannot both publish it;
+    // claims older than CONTRIBUTION_CLAIM_TIMEOUT_MS were left by a stopped server and are taken over
+    const claimedAt = new Date();
+    const staleBefore = new Date(claimedAt.getTime() - CONTRIBUTION_CLAIM_TIMEOUT_MS);
+    const contribution = await contributionsCollection.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { status: 'pending' },
+          { status: 'approving', claimedAt: { $not: { $gte: staleBefore } } }
+        ]
+      },
+      { $set: { status: 'approving', claimedAt } },
+      { returnDocument: 'after' }
+    );
+    if (!contribution) {
+      const existing = await contributionsCollection.findOne({ _id: id });
+      if (!existing) return res.status(404).json({ error: 'Contribution not found' });
+      return res.status(409).json({ error: `Contribution is already ${existing.status}` });
+    }
     
-    console.log(`✅ Contribution added successfully: ${traditionDocument.saint}`);
+    let publishedId;
+    try {
+      publishedId = await publishContribution(req, contribution);
+    } catch (error) {
+      // Release the claim so the contribution can be approved again
+      await contributionsCollection.updateOne({ _id: id, status: 'approving', claimedAt }, { $set: { status: 'pending' }, $unset: { claimedAt: '' } });
+      throw error;
+    }
+    
+    console.log(`✅ Contribution approved: ${contribution.record.saint}`);
     
     res.json({
-      id: result.insertedId.toString(),
-      message: `Thank you for contributing information about ${traditionDocument.saint}!`,
+      id: contribution._id.toString(),
+      publishedId: publishedId.toString(),
+      status: 'approved',
       success: true
     });
   }));
 
+  /**
+   * Publish a claimed contribution: insert the record, its revision and relationships, then mark it approved
+   * A failure part-way removes what was written, so approving again cannot publish a second copy;
+   * records left by an approval the server never finished are removed before publishing
+   * @returns {Promise<ObjectId>} Id of the published record
+   */
+  const publishContribution = async (req, contribution) => {
+    const { notes, reviewer } = req.body || {};
+    const reviewedAt = new Date();
+    
+    const leftovers = await traditionsCollection.find({ contributionId: contribution._id }, { projection: { _id: 1 } }).toArray();
+    if (leftovers.length > 0) {
+      const leftoverIds = leftovers.map(doc => doc._id);
+      await Promise.all([
+        traditionsCollection.deleteMany({ _id: { $in: leftoverIds } }),
+        revisionsCollection.deleteMany({ recordId: { $in: leftoverIds } }),
+        relationshipsCollection.deleteMany({ saintId: { $in: leftoverIds } })
+      ]);
+      console.warn(`⚠️ Removed ${leftovers.length} record(s) left by an unfinished approval of ${contribution._id}`);
+    }
+    
+    const publishedRecord = {
+      ...contribution.record,
+      status: 'approved',
+      contributionId: contribution._id,
+      updatedAt: reviewedAt
+    };
+    const result = await traditionsCollection.insertOne(publishedRecord);
+    
+    try {
+      await recordRevision(revisionsCollection, result.insertedId, null, publishedRecord, {
+        action: 'create',
+        changedBy: reviewer ? String(reviewer).trim() : getEditor(req)
+      });
+      searchIndex.invalidate();
+      
+      // Link related saints that still exist at approval time
+      // (contributions queued before deduplication may still repeat a pair)
+      const relations = uniqueRelations(contribution.relatedSaints || []);
+      const missingSaints = await findMissingSaints(relations.map(r => r.saintId));
+      const missingIds = new Set(missingSaints.map(String));
+      const relationshipDocs = relations
+        .filter(r => !missingIds.has(r.saintId.toString()))
+        .map(r => ({ saintId: result.insertedId, relatedSaintId: r.saintId, type: r.type, createdAt: reviewedAt }));
+      
+      if (relationshipDocs.length > 0) {
+        await relationshipsCollection.insertMany(relationshipDocs, { ordered: false });
+      }
+      
+      // Only the approval still holding the claim may finish it
+      const approved = await contributionsCollection.updateOne({ _id: contribution._id, status: 'approving', claimedAt: contribution.claimedAt }, {
+        $set: {
+          status: 'approved',
+          reviewerNotes: notes ? String(notes).trim() : null,
+          reviewedBy: reviewer ? String(reviewer).trim() : null,
+          reviewedAt,
+          publishedId: result.insertedId
+        },
+        $unset: { claimedAt: '' }
+      });
+      if (approved.matchedCount === 0) throw new Error('Approval claim was taken over before publishing finished');
+    } catch (error) {
+      await Promise.all([
+        traditionsCollection.deleteOne({ _id: result.insertedId }),
+        revisionsCollection.deleteMany({ recordId: result.insertedId }),
+        relationshipsCollection.deleteMany({ saintId: result.insertedId })
+      ]);
+      searchIndex.invalidate();
+      throw error;
+    }
+    
+    return result.insertedId;
+  };
+
+  // Reject a contribution - it stays in the queue for reference
+  app.post('/api/admin/contributions/:id/reject', requireAdmin, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid contribution id' });
+    
+    const { notes, reviewer } = req.body || {};
+    
+    const result = await contributionsCollection.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      {
+        $set: {
+          status: 'rejected',
+          reviewerNotes: notes ? String(notes).trim() : null,
+          reviewedBy: reviewer ? String(reviewer).trim() : null,
+          reviewedAt: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    );
+    
+    if (!result) {
+      const existing = await contributionsCollection.findOne({ _id: id });
+      if (!existing) return res.status(404).json({ error: 'Contribution not found' });
+      return res.status(409).json({ error: `Contribution is already ${existing.status}` });
+    }
+    
+    console.log(`🚫 Contribution rejected: ${result.record.saint}`);
+    
+    res.json({ id: result._id.toString(), status: 'rejected', success: true });
+  }));
+
   // Legacy places endpoint
   app.get('/api/places', asyncHandler(async (req, res) => {
-    const docs = await traditionsCollection.find({}).sort({ _id: -1 }).toArray();
+    const docs = await traditionsCollection.find(PUBLIC_FILTER).sort({ _id: -1 }).toArray();
     const places = docs.flatMap(doc => convertToMapMarkers(doc).map(marker => ({
       id: marker.id, name: marker.name, coords: marker.coords,
       type: marker.type, saint: marker.saint, tradition: marker.tradition,
@@ -703,12 +4359,31 @@ app.use(cors({
     res.json(places);
   }));
 
+  // Saint profile pages - the SPA shell with the saint's title and Open Graph tags rendered in,
+  // so shared links preview properly; unknown saints get the plain shell with a 404
+  app.get('/saint/:slug', asyncHandler(async (req, res, next) => {
+    const shell = [path.join(__dirname, 'frontend', 'index.html'), path.join(__dirname, 'index.html')].find(file => fs.existsSync(file));
+    if (!shell) return next();
+    
+    const profile = await loadSaintProfile(String(req.params.slug).toLowerCase());
+    const html = fs.readFileSync(shell, 'utf8');
+    
+    if (!profile) {
+      return res.status(404).type('html').send(html.replace(/<head>/i, '<head>\n    <base href="/">'));
+    }
+    
+    const url = `${getBaseUrl(req)}${profile.url}`;
+    res.type('html').send(renderProfileHead(html, profile, url));
+  }));
+
   // ========================================
   // ERROR HANDLING & SPA FALLBACK
   // ========================================
   
   app.use((error, req, res, next) => {
     console.error('💥 Server error:', error);
+    // Streaming responses (exports) cannot switch to a JSON error once started
+    if (res.headersSent) return res.end();
     res.status(500).json({
       error: 'Internal server error',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
@@ -739,6 +4414,7 @@ app.use(cors({
     console.log(`📍 Server: http://localhost:${PORT}`);
     console.log(`📊 Health: http://localhost:${PORT}/api/health`);
     console.log(`🕉️ Traditions: http://localhost:${PORT}/api/traditions`);
+    console.log(`🙏 Saints: http://localhost:${PORT}/api/saints`);
     console.log(`🎛️ Filter options: http://localhost:${PORT}/api/filter-options`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}\n`);
   });
@@ -753,8 +4429,39 @@ app.use(cors({
   });
 }
 
-// Start the server
-startServer().catch(error => {
-  console.error('❌ Server startup failed:', error);
-  process.exit(1);
-});
\ No newline at end of file
+/**
+ * Whether this file is the program being run rather than a module imported by scripts/
+ * Paths are compared after resolving symlinks; `node server` omits the extension, and
+ * pm2 keeps its own wrapper in argv[1] but names the script in pm_exec_path
+ */
+function isEntryPoint() {
+  const entries = [process.argv[1], process.env.pm_exec_path].filter(Boolean);
+  const self = fs.realpathSync(__filename);
+  return entries.some(entry => [entry, `${entry}.js`].some(candidate => {
+    try {
+      return fs.realpathSync(candidate) === self;
+    } catch {
+      return false;
+    }
+  }));
+}
+
+if (isEntryPoint()) {
+  startServer().catch(error => {
+    console.error('❌ Server startup failed:', error);
+    process.exit(1);
+  });
+}
+
+export {
+  DB_NAME,
+  COLLECTION,
+  REVISIONS_COLLECTION,
+  GEOCODE_CACHE_COLLECTION,
+  IMPORT_FORMATS,
+  createMongoClient,
+  geocodeCache,
+  parseImportData,
+  detectImportFormat,
+  importRecords
+};
\ No newline at end of file